@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A participant's public vote for the whole event, for voting methods
+// that compare entries rather than rate them one at a time
+const BallotSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['approval', 'ranked', 'quadratic'],
+    required: true
+  },
+  approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Submission' }],
+  ranking: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Submission' }],
+  allocations: [{
+    _id: false,
+    submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+    votes: { type: Number, min: 0 }
+  }],
+  creditsSpent: { type: Number, default: 0 },
+  submittedAt: { type: Date, default: Date.now },
+  voided: { type: Boolean, default: false },
+  voidedAt: Date,
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  voidReason: String
+}, {
+  timestamps: true
+});
+
+BallotSchema.index({ event: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Ballot', BallotSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const ComparisonSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  judge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submissions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Submission' }],
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+  loser: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+  status: {
+    type: String,
+    enum: ['pending', 'decided', 'skipped'],
+    default: 'pending'
+  },
+  decidedAt: Date
+}, {
+  timestamps: true
+});
+
+ComparisonSchema.index({ event: 1, judge: 1, status: 1 });
+
+module.exports = mongoose.model('Comparison', ComparisonSchema);
@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { publicThemeVoting } = require('../services/themes');
+
+const LeaderboardEntrySchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+  submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+  totalScore: Number,
+  judgeScore: Number,
+  publicScore: Number,
+  confidence: Number,
+  scores: [{
+    criterion: String,
+    weight: Number,
+    score: Number,
+    weightedScore: Number
+  }],
+  rank: Number,
+  // Change since the previous snapshot; positive rankChange means moving up
+  previousRank: Number,
+  rankChange: Number,
+  scoreChange: Number,
+  updatedAt: { type: Date, default: Date.now }
+});
 
 const EventSchema = new mongoose.Schema({
   title: {
@@ -12,7 +34,10 @@ const EventSchema = new mongoose.Schema({
   },
   theme: {
     type: String,
-    required: true
+    // Filled in from the theme vote at startDate when theme voting is on
+    required: function() {
+      return !(this.themeVoting && this.themeVoting.enabled);
+    }
   },
   type: {
     type: String,
@@ -61,11 +86,99 @@ const EventSchema = new mongoose.Schema({
       description: String
     }],
     isAutomated: { type: Boolean, default: true },
-    judges: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+    mode: { type: String, enum: ['rubric', 'pairwise'], default: 'rubric' },
+    judges: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    deadline: Date,
+    normalization: { type: String, enum: ['none', 'zscore', 'minmax'], default: 'none' },
+    autoRules: [{
+      field: String,
+      transform: { type: String, enum: ['linear', 'capped', 'bucketed', 'boolean'] },
+      factor: Number,
+      offset: Number,
+      cap: Number,
+      buckets: [{ min: Number, score: Number }],
+      criterion: String,
+      maxScore: Number
+    }],
+    reviewsPerSubmission: { type: Number, default: 3, min: 1 },
+    conflicts: [{
+      judge: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+      reason: String,
+      declaredAt: { type: Date, default: Date.now }
+    }],
+    assignments: [{
+      judge: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+      team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+      status: { type: String, enum: ['assigned', 'completed', 'reassigned'], default: 'assigned' },
+      assignedAt: { type: Date, default: Date.now },
+      completedAt: Date
+    }]
+  },
+  schedule: {
+    isPaused: { type: Boolean, default: false },
+    transitions: [{
+      from: String,
+      to: String,
+      source: { type: String, enum: ['scheduler', 'organizer'], default: 'scheduler' },
+      at: { type: Date, default: Date.now }
+    }]
+  },
+  submissionPolicy: {
+    gracePeriodMinutes: { type: Number, default: 0, min: 0 },
+    extensions: [{
+      team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+      until: Date,
+      reason: String,
+      grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      grantedAt: { type: Date, default: Date.now }
+    }],
+    openFields: [String]
+  },
+  themeVoting: {
+    enabled: { type: Boolean, default: false },
+    phase: { type: String, enum: ['suggestions', 'voting', 'decided'], default: 'suggestions' },
+    suggestionsPerUser: { type: Number, default: 3, min: 1 },
+    suggestions: [{
+      text: String,
+      normalized: String,
+      suggestedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      eliminatedInRound: Number,
+      createdAt: { type: Date, default: Date.now }
+    }],
+    rounds: [{
+      number: Number,
+      candidates: [{ type: mongoose.Schema.Types.ObjectId }],
+      results: [{
+        _id: false,
+        suggestion: mongoose.Schema.Types.ObjectId,
+        up: Number,
+        down: Number,
+        neutral: Number,
+        score: Number
+      }],
+      openedAt: { type: Date, default: Date.now },
+      closedAt: Date
+    }],
+    winner: mongoose.Schema.Types.ObjectId,
+    announcedAt: Date
+  },
+  voting: {
+    method: { type: String, enum: ['star', 'approval', 'ranked', 'quadratic'], default: 'star' },
+    quadraticCredits: { type: Number, default: 100, min: 1 },
+    participantsOnly: { type: Boolean, default: false },
+    minAccountAgeDays: { type: Number, default: 7, min: 0 },
+    categories: [{
+      name: String,
+      description: String
+    }],
+    minRatings: { type: Number, default: 0, min: 0 }
   },
   requirements: {
     technologies: [String],
     deliverables: [String],
+    deliverableQuotaMB: { type: Number, default: 200, min: 1 },
     submissionFormat: String
   },
   organizer: {
@@ -76,9 +189,39 @@ const EventSchema = new mongoose.Schema({
   participants: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     joinedAt: { type: Date, default: Date.now },
-    role: { type: String, enum: ['participant', 'mentor', 'judge'], default: 'participant' }
+    role: { type: String, enum: ['participant', 'mentor', 'judge'], default: 'participant' },
+    // Who a participant without a team wants to be placed with, or kept
+    // away from, by automatic team formation
+    teamPreferences: {
+      teammates: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      avoid: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+    }
   }],
   teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }],
+  // Organizer-run formation of teams for participants who didn't find
+  // one. The preview can be edited until it's committed; after the cutoff
+  // (startDate unless set) nothing more is formed.
+  teamFormation: {
+    cutoff: Date,
+    status: { type: String, enum: ['idle', 'previewed', 'committed'], default: 'idle' },
+    preview: {
+      generatedAt: Date,
+      adjustedAt: Date,
+      teams: [{
+        _id: false,
+        name: String,
+        members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        skills: [String],
+        experience: Number,
+        preferencesMet: Number,
+        conflicts: Number
+      }],
+      unassigned: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+    },
+    committedAt: Date,
+    committedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }]
+  },
   submissions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Submission' }],
   chatRooms: [{
     name: String,
@@ -90,16 +233,43 @@ const EventSchema = new mongoose.Schema({
       type: { type: String, enum: ['text', 'image', 'file'], default: 'text' }
     }]
   }],
-  leaderboard: [{
+  // How the leaderboard combines judges (0-100) with public votes. The
+  // defaults reproduce the old judge score + stars x 10.
+  ranking: {
+    mode: { type: String, enum: ['judges', 'public', 'blend'], default: 'blend' },
+    judgeWeight: { type: Number, default: 1, min: 0 },
+    publicWeight: { type: Number, default: 0.5, min: 0 },
+    publicScale: { type: Number, default: 100, min: 0 },
+    publicScaling: { type: String, enum: ['absolute', 'relative'], default: 'absolute' }
+  },
+  leaderboard: [LeaderboardEntrySchema],
+  // Bumped with every published leaderboard change
+  leaderboardSeq: { type: Number, default: 0 },
+  // When the final standings went into the global ratings
+  ratingsAppliedAt: Date,
+  // Rating categories and 'stats' already written, so a retry after a
+  // failure doesn't count them twice
+  ratingsApplied: [String],
+  // Public standings stop updating at freezeAt; organizers then reveal
+  // the final ranks one at a time from last to first
+  leaderboardFreeze: {
+    freezeAt: Date,
+    frozenAt: Date,
+    snapshot: [LeaderboardEntrySchema],
+    reveal: {
+      status: { type: String, enum: ['idle', 'revealing', 'done'], default: 'idle' },
+      revealed: { type: Number, default: 0 },
+      final: [LeaderboardEntrySchema],
+      startedAt: Date,
+      finishedAt: Date
+    }
+  },
+  peoplesChoice: [{
     team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
     submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
-    totalScore: Number,
-    scores: [{
-      criterion: String,
-      score: Number
-    }],
-    rank: Number,
-    updatedAt: { type: Date, default: Date.now }
+    score: Number,
+    result: Number,
+    rank: Number
   }],
   stats: {
     totalParticipants: { type: Number, default: 0 },
@@ -129,4 +299,34 @@ EventSchema.virtual('timeRemaining').get(function() {
   return this.endDate - Date.now();
 });
 
+// Past the freeze time and not yet fully revealed
+EventSchema.methods.isLeaderboardFrozen = function(now = new Date()) {
+  const freeze = this.leaderboardFreeze;
+  return !!(freeze && freeze.freezeAt && freeze.freezeAt <= now && freeze.reveal.status !== 'done');
+};
+
+// Keep the theme vote's outcome secret until it's announced at startDate,
+// and the live leaderboard hidden while it's frozen
+EventSchema.methods.toJSON = function() {
+  const event = this.toObject();
+  if (event.themeVoting && event.themeVoting.enabled && !event.themeVoting.announcedAt) {
+    event.themeVoting = publicThemeVoting(event.themeVoting);
+  }
+
+  // Frozen standings stand in for the live ones until the reveal is over
+  if (event.leaderboardFreeze) {
+    if (this.isLeaderboardFrozen()) {
+      event.leaderboard = event.leaderboardFreeze.frozenAt ? event.leaderboardFreeze.snapshot : event.leaderboard;
+      event.peoplesChoice = [];
+    }
+    const { snapshot, reveal, ...freeze } = event.leaderboardFreeze;
+    event.leaderboardFreeze = {
+      ...freeze,
+      reveal: reveal && { status: reveal.status, revealed: reveal.revealed }
+    };
+  }
+
+  return event;
+};
+
 module.exports = mongoose.model('Event', EventSchema);
\ No newline at end of file
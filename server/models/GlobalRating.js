@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A user's or team's platform-wide rating, overall or for one event type,
+// with the change each finished event made to it
+const GlobalRatingSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['User', 'Team'],
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'kind',
+    required: true
+  },
+  // 'overall' or an event type
+  category: {
+    type: String,
+    enum: ['overall', 'hackathon', 'game-jam', 'design-sprint'],
+    required: true
+  },
+  rating: { type: Number, default: 1500 },
+  // How unsure the rating still is; shrinks with every event and grows
+  // again while the subject sits events out
+  deviation: { type: Number, default: 350 },
+  // rating - 2 x deviation, what the top lists sort by so a single lucky
+  // result doesn't outrank a long record
+  conservativeRating: { type: Number, default: 800 },
+  events: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  podiums: { type: Number, default: 0 },
+  lastEventAt: Date,
+  history: [{
+    _id: false,
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+    eventType: String,
+    rank: Number,
+    fieldSize: Number,
+    ratingBefore: Number,
+    rating: Number,
+    change: Number,
+    deviation: Number,
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+GlobalRatingSchema.index({ kind: 1, subject: 1, category: 1 }, { unique: true });
+GlobalRatingSchema.index({ kind: 1, category: 1, conservativeRating: -1 });
+
+module.exports = mongoose.model('GlobalRating', GlobalRatingSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Standings after a leaderboard recompute, for rank deltas and history charts
+const LeaderboardSnapshotSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  takenAt: { type: Date, default: Date.now },
+  entries: [{
+    _id: false,
+    team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+    rank: Number,
+    totalScore: Number,
+    judgeScore: Number,
+    publicScore: Number
+  }]
+});
+
+LeaderboardSnapshotSchema.index({ event: 1, takenAt: -1 });
+
+module.exports = mongoose.model('LeaderboardSnapshot', LeaderboardSnapshotSchema);
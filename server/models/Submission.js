@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { scoreSubmission } = require('../services/scoring');
+const { categoryAverages } = require('../services/ratings');
+const { evaluateRules, DEFAULT_RULES } = require('../services/autoJudge');
+
+const CommitSummarySchema = new mongoose.Schema({
+  hash: String,
+  authorName: String,
+  authorEmail: String,
+  date: Date,
+  subject: String,
+  insertions: Number
+}, { _id: false });
 
 const SubmissionSchema = new mongoose.Schema({
   event: {
@@ -44,6 +56,34 @@ const SubmissionSchema = new mongoose.Schema({
     caption: String,
     order: Number
   }],
+  deliverables: [{
+    deliverable: String,
+    path: String,
+    originalName: String,
+    size: Number,
+    sha256: String,
+    entryCount: Number,
+    uncompressedSize: Number,
+    entries: [{
+      path: String,
+      size: Number,
+      compressedSize: Number,
+      isDirectory: Boolean
+    }],
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  builds: [{
+    version: Number,
+    path: String,
+    entry: String,
+    originalName: String,
+    size: Number,
+    fileCount: Number,
+    sha256: String,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
   metadata: {
     linesOfCode: Number,
     commits: Number,
@@ -53,7 +93,30 @@ const SubmissionSchema = new mongoose.Schema({
     innovation: { type: Number, min: 1, max: 10 },
     completeness: { type: Number, min: 1, max: 10 },
     documentation: { type: Number, min: 1, max: 10 },
-    presentation: { type: Number, min: 1, max: 10 }
+    presentation: { type: Number, min: 1, max: 10 },
+    verified: { type: Boolean, default: false },
+    verifiedAt: Date,
+    verifiedFields: [String],
+    languages: [{
+      language: String,
+      files: Number,
+      lines: Number
+    }],
+    authors: [String],
+    selfReported: {
+      linesOfCode: Number,
+      commits: Number,
+      contributors: Number,
+      technologies: [String]
+    }
+  },
+  repositoryArchive: {
+    path: String,
+    originalName: String,
+    format: { type: String, enum: ['bundle', 'zip'] },
+    size: Number,
+    uploadedAt: Date,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
   },
   judging: {
     scores: [{
@@ -64,6 +127,13 @@ const SubmissionSchema = new mongoose.Schema({
       feedback: String,
       timestamp: { type: Date, default: Date.now }
     }],
+    breakdown: [{
+      criterion: String,
+      weight: Number,
+      score: Number,
+      weightedScore: Number,
+      judgeCount: Number
+    }],
     totalScore: { type: Number, default: 0 },
     averageScore: { type: Number, default: 0 },
     rank: Number,
@@ -74,15 +144,67 @@ const SubmissionSchema = new mongoose.Schema({
     votes: [{
       user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       score: { type: Number, min: 1, max: 5 },
-      timestamp: { type: Date, default: Date.now }
+      ratings: [{
+        _id: false,
+        category: String,
+        score: { type: Number, min: 1, max: 5 }
+      }],
+      timestamp: { type: Date, default: Date.now },
+      voided: { type: Boolean, default: false },
+      voidedAt: Date,
+      voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      voidReason: String
+    }],
+    categoryScores: [{
+      _id: false,
+      category: String,
+      average: Number,
+      count: Number
     }]
   },
+  compliance: {
+    generatedAt: Date,
+    status: { type: String, enum: ['clean', 'flagged'] },
+    flags: [String],
+    summary: {
+      totalCommits: Number,
+      beforeStart: Number,
+      afterDeadline: Number,
+      unknownAuthors: Number
+    },
+    commitsBeforeStart: [CommitSummarySchema],
+    commitsAfterDeadline: [CommitSummarySchema],
+    initialImport: {
+      hash: String,
+      authorName: String,
+      authorEmail: String,
+      date: Date,
+      subject: String,
+      insertions: Number,
+      flagged: Boolean
+    },
+    unknownAuthors: [{
+      name: String,
+      email: String,
+      commits: Number
+    }],
+    review: {
+      status: String,
+      note: String,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: Date
+    }
+  },
   status: {
     type: String,
     enum: ['draft', 'submitted', 'under-review', 'approved', 'rejected'],
     default: 'draft'
   },
   submittedAt: Date,
+  late: { type: Boolean, default: false },
+  currentRevision: Number,
+  judgedRevision: Number,
+  judgedBuild: Number,
   submittedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -104,84 +226,119 @@ const SubmissionSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Auto-calculate scores when judges submit ratings
+// Keep voting totals in sync before saving
 SubmissionSchema.pre('save', function(next) {
-  if (this.judging && this.judging.scores && this.judging.scores.length > 0) {
-    // Calculate total score
-    this.judging.totalScore = this.judging.scores.reduce((sum, score) => sum + score.score, 0);
-    
-    // Calculate average score
-    this.judging.averageScore = this.judging.totalScore / this.judging.scores.length;
-  }
-  
-  // Calculate public voting average
-  if (this.voting && this.voting.votes && this.voting.votes.length > 0) {
-    this.voting.publicVotes = this.voting.votes.reduce((sum, vote) => sum + vote.score, 0) / this.voting.votes.length;
+  // Calculate public voting average; voided votes don't count
+  const votes = this.voting && this.voting.votes ? this.voting.votes.filter(vote => !vote.voided) : [];
+  if (this.isModified('voting.votes')) {
+    this.voting.publicVotes = votes.length > 0
+      ? votes.reduce((sum, vote) => sum + vote.score, 0) / votes.length
+      : 0;
+
+    // Per-category averages for game-jam ratings
+    const categories = [...new Set(
+      votes.flatMap(vote => (vote.ratings || []).map(r => r.category))
+    )];
+    this.voting.categoryScores = categoryAverages(votes, categories.map(name => ({ name })));
   }
   
   next();
 });
 
-// Auto-judge based on metadata (for automated judging)
-SubmissionSchema.methods.autoJudge = function() {
-  if (!this.metadata) return;
-  
-  const scores = [];
-  
-  // Innovation score (1-100)
-  if (this.metadata.innovation) {
-    scores.push({
-      criterion: 'Innovation',
-      score: this.metadata.innovation * 10,
-      maxScore: 100,
-      timestamp: Date.now()
-    });
-  }
-  
-  // Technical Complexity (based on technologies and lines of code)
-  if (this.metadata.technologies && this.metadata.linesOfCode) {
-    const techScore = Math.min(this.metadata.technologies.length * 10, 50);
-    const codeScore = Math.min(this.metadata.linesOfCode / 100, 50);
-    scores.push({
-      criterion: 'Technical Complexity',
-      score: techScore + codeScore,
-      maxScore: 100,
-      timestamp: Date.now()
-    });
-  }
-  
-  // Completeness score
-  if (this.metadata.completeness) {
-    scores.push({
-      criterion: 'Completeness',
-      score: this.metadata.completeness * 10,
-      maxScore: 100,
-      timestamp: Date.now()
-    });
-  }
-  
-  // Documentation score
-  if (this.metadata.documentation) {
-    scores.push({
-      criterion: 'Documentation',
-      score: this.metadata.documentation * 10,
-      maxScore: 100,
-      timestamp: Date.now()
-    });
-  }
-  
-  // Presentation score
-  if (this.metadata.presentation) {
-    scores.push({
-      criterion: 'Presentation',
-      score: this.metadata.presentation * 10,
-      maxScore: 100,
-      timestamp: Date.now()
-    });
+const VERIFIABLE_FIELDS = ['linesOfCode', 'commits', 'contributors', 'technologies'];
+
+// Which verifiable fields came from repository analysis. Older verified
+// submissions didn't record it, so anything they have a value for counts.
+const verifiedFieldsOf = (metadata) => {
+  if (!metadata.verified) return [];
+  if (metadata.verifiedFields && metadata.verifiedFields.length > 0) return metadata.verifiedFields;
+  return VERIFIABLE_FIELDS.filter(field => metadata[field] !== undefined && metadata[field] !== null);
+};
+
+// Update team-provided metadata. Once the repository has been analyzed,
+// the team's numbers for verified fields are kept as self-reported and the
+// verified ones stay.
+SubmissionSchema.methods.setMetadata = function(metadata = {}) {
+  const current = this.metadata ? this.metadata.toObject() : {};
+
+  if (!current.verified) {
+    this.metadata = metadata;
+    return;
   }
-  
-  this.judging.scores = scores;
+
+  const locked = verifiedFieldsOf(current);
+  const selfReported = { ...current.selfReported };
+  VERIFIABLE_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined) selfReported[field] = metadata[field];
+  });
+
+  const updates = { ...metadata };
+  locked.forEach(field => delete updates[field]);
+  ['verified', 'verifiedAt', 'verifiedFields', 'languages', 'authors', 'selfReported'].forEach(field => delete updates[field]);
+
+  this.metadata = { ...current, ...updates, selfReported };
+};
+
+// Replace the verifiable metadata with values from repository analysis,
+// keeping whatever the team reported the first time around. Fields the
+// analysis can't establish (a zip has no commit history) keep their
+// current value and whether it was verified.
+SubmissionSchema.methods.applyRepositoryAnalysis = function(analysis) {
+  const current = this.metadata ? this.metadata.toObject() : {};
+
+  const selfReported = current.verified
+    ? current.selfReported
+    : VERIFIABLE_FIELDS.reduce((reported, field) => {
+      reported[field] = current[field];
+      return reported;
+    }, {});
+
+  const established = VERIFIABLE_FIELDS.filter(field => analysis[field] !== undefined);
+  const verifiedFields = [...new Set([
+    ...verifiedFieldsOf(current),
+    ...established
+  ])];
+
+  const verifiedValues = established.reduce((values, field) => {
+    values[field] = analysis[field];
+    return values;
+  }, {});
+
+  this.metadata = {
+    ...current,
+    ...verifiedValues,
+    languages: analysis.languages,
+    authors: analysis.authors !== undefined ? analysis.authors : current.authors || [],
+    verified: true,
+    verifiedAt: new Date(),
+    verifiedFields,
+    selfReported
+  };
+};
+
+// Recalculate judging totals against the event's weighted criteria.
+// Pass normalized rows to score something other than the raw judge scores.
+SubmissionSchema.methods.applyScoring = function(criteria, scores = this.judging.scores) {
+  const result = scoreSubmission(scores, criteria);
+
+  this.judging.breakdown = result.breakdown;
+  this.judging.totalScore = result.totalScore;
+  this.judging.averageScore = result.averageScore;
+
+  return result;
+};
+
+// Auto-judge using the event's rules (for automated judging).
+// Only automated rows are replaced; scores from human judges are kept.
+SubmissionSchema.methods.autoJudge = function(rules, criteria) {
+  const scores = evaluateRules(this, rules && rules.length > 0 ? rules : DEFAULT_RULES);
+
+  this.judging.scores = [
+    ...this.judging.scores.filter(score => score.judge),
+    ...scores
+  ];
   this.judging.status = 'judged';
+  this.applyScoring(criteria);
   
   return this.save();
 };
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const SubmissionRevisionSchema = new mongoose.Schema({
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    project: mongoose.Schema.Types.Mixed,
+    links: mongoose.Schema.Types.Mixed,
+    metadata: mongoose.Schema.Types.Mixed,
+    status: String
+  },
+  restoredFrom: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+SubmissionRevisionSchema.index({ submission: 1, number: 1 }, { unique: true });
+
+// Revisions are immutable once written
+SubmissionRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Submission revisions cannot be modified'));
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  SubmissionRevisionSchema.pre(operation, function(next) {
+    next(new Error('Submission revisions cannot be modified'));
+  });
+});
+
+module.exports = mongoose.model('SubmissionRevision', SubmissionRevisionSchema);
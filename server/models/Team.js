@@ -22,6 +22,7 @@ const TeamSchema = new mongoose.Schema({
   },
   members: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // 'leader', 'member', or 'approver' for members who can accept join requests
     role: { type: String, default: 'member' },
     skills: [String],
     joinedAt: { type: Date, default: Date.now },
@@ -33,6 +34,20 @@ const TeamSchema = new mongoose.Schema({
     invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdAt: { type: Date, default: Date.now }
   }],
+  // Participants asking to join; private teams only take members this way
+  joinRequests: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    message: { type: String, maxlength: 500 },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'expired'],
+      default: 'pending'
+    },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: Date,
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    respondedAt: Date
+  }],
   project: {
     name: String,
     description: String,
@@ -90,12 +105,16 @@ const TeamSchema = new mongoose.Schema({
     progressPercentage: { type: Number, default: 0 }
   },
   isPublic: { type: Boolean, default: true },
+  // Public teams can turn this off to review everyone who asks to join
+  instantJoin: { type: Boolean, default: true },
   lookingForMembers: { type: Boolean, default: false },
   requiredSkills: [String]
 }, {
   timestamps: true
 });
 
+TeamSchema.index({ 'joinRequests.status': 1, 'joinRequests.expiresAt': 1 });
+
 // Update stats before saving
 TeamSchema.pre('save', function(next) {
   if (this.project && this.project.progress && this.project.progress.tasks) {
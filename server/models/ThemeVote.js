@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const ThemeVoteSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true
+  },
+  suggestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  value: {
+    type: Number,
+    enum: [-1, 0, 1],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One vote per user per theme per round; voting again replaces it
+ThemeVoteSchema.index({ event: 1, round: 1, suggestion: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('ThemeVote', ThemeVoteSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to a public vote
+const VoteAuditSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  submission: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['star', 'ballot'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['cast', 'changed', 'withdrawn', 'voided'],
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  reason: String,
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ip: String,
+  accountCreatedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+VoteAuditSchema.index({ event: 1, createdAt: 1 });
+VoteAuditSchema.index({ event: 1, user: 1 });
+
+VoteAuditSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Vote audit entries cannot be modified'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  VoteAuditSchema.pre(operation, function(next) {
+    next(new Error('Vote audit entries cannot be modified'));
+  });
+});
+
+module.exports = mongoose.model('VoteAudit', VoteAuditSchema);
@@ -1,8 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const Team = require('../models/Team');
 const Submission = require('../models/Submission');
 const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { transitionEvent, getScheduledStatus } = require('../services/eventScheduler');
+const {
+  RANKING_MODES,
+  ensureFreezeSnapshot,
+  freezeLeaderboard,
+  getLeaderboardView,
+  getTeamHistory,
+  updateEventLeaderboard,
+  withLeaderboardQueue
+} = require('../services/leaderboard');
+const { getSubmissionDeadline } = require('../services/deadlines');
+const { VOTING_METHODS } = require('../services/tally');
+const { applyEventRatings } = require('../services/globalRatings');
 
 const router = express.Router();
 
@@ -181,39 +195,298 @@ router.post('/:id/leave', authMiddleware, async (req, res) => {
 });
 
 // Get event leaderboard
-router.get('/:id/leaderboard', async (req, res) => {
+router.get('/:id/leaderboard', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
-      .populate({
-        path: 'leaderboard.team',
+      .select('organizer leaderboard leaderboardSeq peoplesChoice leaderboardFreeze ranking voting.method title');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Entries are stored ranked; a read only writes to take the freeze
+    // snapshot, so it never overwrites a concurrent update
+    await ensureFreezeSnapshot(event);
+
+    // Frozen and revealed entries only name the project; the submission's
+    // live scores would give the hidden standings away
+    const teamAndSubmission = (path, submissionFields = 'project.name') => [
+      {
+        path: `${path}.team`,
         populate: {
           path: 'members.user leader',
           select: 'username profile.avatar'
         }
-      })
-      .populate({
-        path: 'leaderboard.submission',
-        select: 'project judging voting'
-      })
-      .select('leaderboard title');
+      },
+      {
+        path: `${path}.submission`,
+        select: submissionFields
+      }
+    ];
+
+    await event.populate([
+      ...teamAndSubmission('leaderboard', 'project judging voting.publicVotes voting.categoryScores'),
+      ...teamAndSubmission('leaderboardFreeze.snapshot'),
+      ...teamAndSubmission('leaderboardFreeze.reveal.final'),
+      { path: 'peoplesChoice.team', select: 'name' },
+      { path: 'peoplesChoice.submission', select: 'project.name' }
+    ]);
+
+    const view = getLeaderboardView(event, req.user);
+
+    // Spell out each component so teams can see where their score came from
+    const { mode, judgeWeight, publicWeight } = event.ranking;
+    const withComponents = (entry) => ({
+      ...entry.toObject(),
+      components: {
+        judges: {
+          score: entry.judgeScore,
+          weight: mode === 'public' ? 0 : mode === 'judges' ? 1 : judgeWeight
+        },
+        public: {
+          score: entry.publicScore,
+          weight: mode === 'judges' ? 0 : mode === 'public' ? 1 : publicWeight,
+          method: event.voting.method
+        }
+      }
+    });
+
+    if (view.reveal && view.reveal.entries) {
+      view.reveal.entries = view.reveal.entries.map(withComponents);
+    }
+
+    res.json({
+      ...view,
+      leaderboard: view.leaderboard.map(withComponents),
+      peoplesChoice: [...view.peoplesChoice].sort((a, b) => a.rank - b.rank),
+      ranking: event.ranking
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A team's rank and score over time, for charting
+router.get('/:id/leaderboard/history/team/:teamId', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.teamId)) {
+      return res.status(400).json({ message: 'Invalid team id' });
+    }
+
+    const event = await Event.findById(req.params.id).select('organizer leaderboardFreeze');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const history = await getTeamHistory(event, req.params.teamId, req.user);
+
+    res.json({ team: req.params.teamId, history });
+  } catch (error) {
+    console.error('Get leaderboard history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set or clear the time public standings freeze
+router.put('/:id/freeze', authMiddleware, async (req, res) => {
+  try {
+    const { freezeAt } = req.body;
+    const event = await Event.findById(req.params.id);
 
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Sort leaderboard by total score
-    event.leaderboard.sort((a, b) => b.totalScore - a.totalScore);
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.leaderboardFreeze.reveal.status !== 'idle') {
+      return res.status(400).json({ message: 'The freeze cannot change once the reveal has started' });
+    }
 
-    // Update ranks
-    event.leaderboard.forEach((entry, index) => {
-      entry.rank = index + 1;
+    let date = null;
+    if (freezeAt !== null) {
+      date = new Date(freezeAt);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ message: 'Freeze time must be a valid date' });
+      }
+    }
+
+    // Queued with leaderboard updates, so the snapshot is taken from the
+    // latest board and this save can't land in the middle of an update
+    const saved = await withLeaderboardQueue(event._id, async () => {
+      const current = await Event.findById(event._id).select('leaderboard leaderboardFreeze');
+
+      if (date === null) {
+        current.leaderboardFreeze = undefined;
+      } else {
+        // Moving the freeze means the old snapshot no longer applies
+        current.leaderboardFreeze.freezeAt = date;
+        current.leaderboardFreeze.frozenAt = undefined;
+        current.leaderboardFreeze.snapshot = [];
+        freezeLeaderboard(current);
+      }
+
+      await current.save();
+      return current;
     });
 
-    await event.save();
+    res.json({
+      message: date === null ? 'Leaderboard unfrozen' : 'Leaderboard freeze set',
+      freezeAt: saved.leaderboardFreeze ? saved.leaderboardFreeze.freezeAt : null,
+      frozen: saved.isLeaderboardFrozen()
+    });
+  } catch (error) {
+    console.error('Set leaderboard freeze error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start the reveal: lock in the final standings and hide them all
+router.post('/:id/reveal/start', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer leaderboardFreeze');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
 
-    res.json({ leaderboard: event.leaderboard });
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.leaderboardFreeze.reveal.status === 'revealing') {
+      return res.status(400).json({ message: 'The reveal is already in progress' });
+    }
+
+    // Revealing without a freeze hides the board from now on
+    if (!event.isLeaderboardFrozen() && event.leaderboardFreeze.reveal.status === 'idle') {
+      event.leaderboardFreeze.freezeAt = new Date();
+      await withLeaderboardQueue(event._id, () => event.save());
+    }
+
+    const final = await updateEventLeaderboard(event._id);
+
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id, 'leaderboardFreeze.reveal.status': { $ne: 'revealing' } },
+      {
+        $set: {
+          'leaderboardFreeze.reveal': {
+            status: 'revealing',
+            revealed: 0,
+            final: [...final].sort((a, b) => a.rank - b.rank).map(entry => entry.toObject()),
+            startedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'The reveal is already in progress' });
+    }
+
+    const total = updated.leaderboardFreeze.reveal.final.length;
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`event:${event._id}`).emit('leaderboardRevealStarted', {
+        eventId: event._id,
+        total,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({ message: 'Reveal started', total });
   } catch (error) {
-    console.error('Get leaderboard error:', error);
+    console.error('Start reveal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reveal the next rank (or the next few), from last place up
+router.post('/:id/reveal/next', authMiddleware, async (req, res) => {
+  try {
+    const count = Math.max(1, parseInt(req.body.count) || 1);
+    const event = await Event.findById(req.params.id).select('organizer leaderboardFreeze');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const reveal = event.leaderboardFreeze.reveal;
+    if (reveal.status !== 'revealing') {
+      return res.status(400).json({ message: 'No reveal in progress' });
+    }
+
+    const total = reveal.final.length;
+    const revealed = Math.min(total, reveal.revealed + count);
+    const done = revealed === total;
+
+    // Conditional on the current step so a double click can't skip a rank
+    const updated = await withLeaderboardQueue(event._id, () => Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        'leaderboardFreeze.reveal.status': 'revealing',
+        'leaderboardFreeze.reveal.revealed': reveal.revealed
+      },
+      {
+        $set: {
+          'leaderboardFreeze.reveal.revealed': revealed,
+          'leaderboardFreeze.reveal.status': done ? 'done' : 'revealing',
+          ...(done && { 'leaderboardFreeze.reveal.finishedAt': new Date() })
+        }
+      },
+      { new: true }
+    ).populate('leaderboardFreeze.reveal.final.team', 'name')
+      .populate('leaderboardFreeze.reveal.final.submission', 'project.name'));
+
+    if (!updated) {
+      return res.status(409).json({ message: 'The reveal moved on; try again' });
+    }
+
+    // Newly revealed entries, lowest rank first
+    const final = updated.leaderboardFreeze.reveal.final;
+    const entries = final.slice(total - revealed, total - reveal.revealed).reverse();
+
+    const io = req.app.get('io');
+    if (io) {
+      entries.forEach((entry, index) => {
+        io.to(`event:${event._id}`).emit('leaderboardReveal', {
+          eventId: event._id,
+          entry,
+          remaining: total - reveal.revealed - index - 1,
+          timestamp: new Date()
+        });
+      });
+
+      if (done) {
+        io.to(`event:${event._id}`).emit('leaderboardRevealed', {
+          eventId: event._id,
+          leaderboard: final,
+          timestamp: new Date()
+        });
+      }
+    }
+
+    // Ratings held back during the reveal can go in now
+    if (done) {
+      await applyEventRatings(event._id);
+    }
+
+    res.json({
+      message: done ? 'Reveal complete' : 'Revealed',
+      revealed: entries,
+      remaining: total - revealed
+    });
+  } catch (error) {
+    console.error('Reveal next error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -221,8 +494,7 @@ router.get('/:id/leaderboard', async (req, res) => {
 // Update leaderboard (automated judging)
 router.post('/:id/update-leaderboard', authMiddleware, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('submissions');
+    const event = await Event.findById(req.params.id).select('organizer');
 
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
@@ -233,41 +505,74 @@ router.post('/:id/update-leaderboard', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    const leaderboard = [];
+    // Auto-judge if not already judged
+    const leaderboard = await updateEventLeaderboard(event._id, {
+      autoJudge: true,
+      io: req.app.get('io')
+    });
 
-    for (const submission of event.submissions) {
-      await submission.populate('team');
-      
-      // Auto-judge if not already judged
-      if (submission.judging.status === 'pending') {
-        await submission.autoJudge();
+    res.json({
+      message: 'Leaderboard updated successfully',
+      leaderboard
+    });
+  } catch (error) {
+    console.error('Update leaderboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Choose how judge scores and public votes combine on the leaderboard
+router.put('/:id/ranking', authMiddleware, async (req, res) => {
+  try {
+    const { mode, judgeWeight, publicWeight, publicScale, publicScaling } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (mode !== undefined) {
+      if (!RANKING_MODES.includes(mode)) {
+        return res.status(400).json({ message: `Ranking mode must be one of ${RANKING_MODES.join(', ')}` });
       }
+      event.ranking.mode = mode;
+    }
 
-      leaderboard.push({
-        team: submission.team._id,
-        submission: submission._id,
-        totalScore: submission.judging.totalScore || 0,
-        scores: submission.judging.scores,
-        rank: 0,
-        updatedAt: new Date()
-      });
+    const numbers = { judgeWeight, publicWeight, publicScale };
+    for (const [field, value] of Object.entries(numbers)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || value < 0) {
+        return res.status(400).json({ message: `${field} must be zero or more` });
+      }
+      event.ranking[field] = value;
     }
 
-    // Sort and assign ranks
-    leaderboard.sort((a, b) => b.totalScore - a.totalScore);
-    leaderboard.forEach((entry, index) => {
-      entry.rank = index + 1;
-    });
+    if (publicScaling !== undefined) {
+      if (!['absolute', 'relative'].includes(publicScaling)) {
+        return res.status(400).json({ message: 'Public scaling must be absolute or relative' });
+      }
+      event.ranking.publicScaling = publicScaling;
+    }
+
+    if (event.ranking.mode === 'blend' && event.ranking.judgeWeight + event.ranking.publicWeight === 0) {
+      return res.status(400).json({ message: 'A blend needs at least one non-zero weight' });
+    }
 
-    event.leaderboard = leaderboard;
     await event.save();
 
+    const leaderboard = await updateEventLeaderboard(event._id, { io: req.app.get('io') });
+
     res.json({
-      message: 'Leaderboard updated successfully',
-      leaderboard: event.leaderboard
+      message: 'Ranking settings updated successfully',
+      ranking: event.ranking,
+      leaderboard
     });
   } catch (error) {
-    console.error('Update leaderboard error:', error);
+    console.error('Update ranking settings error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -285,12 +590,15 @@ router.post('/:id/start', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    event.status = 'active';
-    await event.save();
+    const updated = await transitionEvent(req.app.get('io'), event, 'active', 'organizer');
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Event status changed, please retry' });
+    }
 
     res.json({
       message: 'Event started successfully',
-      event
+      event: updated
     });
   } catch (error) {
     console.error('Start event error:', error);
@@ -311,12 +619,15 @@ router.post('/:id/end', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    event.status = 'judging';
-    await event.save();
+    const updated = await transitionEvent(req.app.get('io'), event, 'judging', 'organizer');
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Event status changed, please retry' });
+    }
 
     res.json({
       message: 'Event moved to judging phase',
-      event
+      event: updated
     });
   } catch (error) {
     console.error('End event error:', error);
@@ -337,12 +648,15 @@ router.post('/:id/complete', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    event.status = 'completed';
-    await event.save();
+    const updated = await transitionEvent(req.app.get('io'), event, 'completed', 'organizer');
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Event status changed, please retry' });
+    }
 
     res.json({
       message: 'Event completed successfully',
-      event
+      event: updated
     });
   } catch (error) {
     console.error('Complete event error:', error);
@@ -350,6 +664,262 @@ router.post('/:id/complete', authMiddleware, async (req, res) => {
   }
 });
 
+// Pause/resume the automatic status schedule or set the judging deadline
+router.put('/:id/schedule', authMiddleware, async (req, res) => {
+  try {
+    const { isPaused, judgingDeadline } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (judgingDeadline !== undefined) {
+      const deadline = judgingDeadline ? new Date(judgingDeadline) : undefined;
+      if (deadline && isNaN(deadline.getTime())) {
+        return res.status(400).json({ message: 'Invalid judging deadline' });
+      }
+      if (deadline && deadline <= event.endDate) {
+        return res.status(400).json({ message: 'Judging deadline must be after the event end date' });
+      }
+      event.judging.deadline = deadline;
+    }
+
+    if (isPaused !== undefined) {
+      event.schedule.isPaused = !!isPaused;
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Schedule updated successfully',
+      schedule: event.schedule,
+      judgingDeadline: event.judging.deadline,
+      scheduledStatus: getScheduledStatus(event)
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the submission deadline policy
+router.put('/:id/submission-policy', authMiddleware, async (req, res) => {
+  try {
+    const { gracePeriodMinutes, openFields } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (gracePeriodMinutes !== undefined) {
+      if (typeof gracePeriodMinutes !== 'number' || gracePeriodMinutes < 0) {
+        return res.status(400).json({ message: 'Grace period must be zero or more minutes' });
+      }
+      event.submissionPolicy.gracePeriodMinutes = gracePeriodMinutes;
+    }
+
+    if (openFields !== undefined) {
+      const editable = /^(project|links|metadata)(\.[\w]+)?$|^deliverables$/;
+      if (!Array.isArray(openFields) || openFields.some(f => !editable.test(f))) {
+        return res.status(400).json({ message: 'Open fields must be project, links, metadata paths or deliverables' });
+      }
+      event.submissionPolicy.openFields = openFields;
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Submission policy updated successfully',
+      submissionPolicy: event.submissionPolicy,
+      deadline: getSubmissionDeadline(event)
+    });
+  } catch (error) {
+    console.error('Update submission policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the public voting method, who may vote, rating categories and
+// the minimum ratings needed to be ranked
+router.put('/:id/voting', authMiddleware, async (req, res) => {
+  try {
+    const {
+      method,
+      quadraticCredits,
+      categories,
+      minRatings,
+      participantsOnly,
+      minAccountAgeDays
+    } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const votingStarted = event.status === 'judging' || event.status === 'completed';
+
+    if (method !== undefined) {
+      if (!VOTING_METHODS.includes(method)) {
+        return res.status(400).json({ message: `Voting method must be one of ${VOTING_METHODS.join(', ')}` });
+      }
+      // Ballots cast under one method can't be counted under another
+      if (votingStarted && method !== event.voting.method) {
+        return res.status(400).json({ message: 'Voting method cannot change once voting has started' });
+      }
+      event.voting.method = method;
+    }
+
+    if (quadraticCredits !== undefined) {
+      if (!Number.isInteger(quadraticCredits) || quadraticCredits < 1) {
+        return res.status(400).json({ message: 'Quadratic credits must be a positive integer' });
+      }
+      if (votingStarted && quadraticCredits !== event.voting.quadraticCredits) {
+        return res.status(400).json({ message: 'Credit budget cannot change once voting has started' });
+      }
+      event.voting.quadraticCredits = quadraticCredits;
+    }
+
+    if (categories !== undefined) {
+      if (!Array.isArray(categories) || categories.some(c => !c || typeof c.name !== 'string' || !c.name.trim())) {
+        return res.status(400).json({ message: 'Each category needs a name' });
+      }
+
+      const names = categories.map(c => c.name.trim());
+      if (new Set(names).size !== names.length) {
+        return res.status(400).json({ message: 'Category names must be unique' });
+      }
+
+      // Votes are keyed by category name, so renaming mid-vote would orphan them
+      if (votingStarted) {
+        return res.status(400).json({ message: 'Categories cannot change once voting has started' });
+      }
+
+      event.voting.categories = categories.map(c => ({
+        name: c.name.trim(),
+        description: c.description
+      }));
+    }
+
+    if (participantsOnly !== undefined) {
+      event.voting.participantsOnly = !!participantsOnly;
+    }
+
+    if (minAccountAgeDays !== undefined) {
+      if (typeof minAccountAgeDays !== 'number' || minAccountAgeDays < 0) {
+        return res.status(400).json({ message: 'Minimum account age must be zero or more days' });
+      }
+      event.voting.minAccountAgeDays = minAccountAgeDays;
+    }
+
+    if (minRatings !== undefined) {
+      if (!Number.isInteger(minRatings) || minRatings < 0) {
+        return res.status(400).json({ message: 'Minimum ratings must be zero or more' });
+      }
+      event.voting.minRatings = minRatings;
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Voting settings updated successfully',
+      voting: event.voting
+    });
+  } catch (error) {
+    console.error('Update voting settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grant a team a deadline extension
+router.post('/:id/extensions', authMiddleware, async (req, res) => {
+  try {
+    const { teamId, until, reason } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!event.teams.some(t => t.toString() === teamId)) {
+      return res.status(400).json({ message: 'Team is not part of this event' });
+    }
+
+    if (!until || isNaN(new Date(until)) || new Date(until) <= event.endDate) {
+      return res.status(400).json({ message: 'Extension must end after the event end date' });
+    }
+
+    // One extension per team; granting again replaces it
+    event.submissionPolicy.extensions = event.submissionPolicy.extensions.filter(
+      e => e.team.toString() !== teamId
+    );
+    event.submissionPolicy.extensions.push({
+      team: teamId,
+      until,
+      reason,
+      grantedBy: req.user._id,
+      grantedAt: new Date()
+    });
+
+    await event.save();
+
+    res.json({
+      message: 'Extension granted successfully',
+      extensions: event.submissionPolicy.extensions
+    });
+  } catch (error) {
+    console.error('Grant extension error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a team's deadline extension
+router.delete('/:id/extensions/:teamId', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    event.submissionPolicy.extensions = event.submissionPolicy.extensions.filter(
+      e => e.team.toString() !== req.params.teamId
+    );
+
+    await event.save();
+
+    res.json({
+      message: 'Extension revoked successfully',
+      extensions: event.submissionPolicy.extensions
+    });
+  } catch (error) {
+    console.error('Revoke extension error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get event statistics
 router.get('/:id/stats', async (req, res) => {
   try {
@@ -0,0 +1,644 @@
+const express = require('express');
+const Event = require('../models/Event');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const Comparison = require('../models/Comparison');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  hasConflict,
+  activeAssignments,
+  generateAssignments,
+  getCoverage
+} = require('../services/judgeAssignment');
+const { getJudgeStats, scoreSubmission } = require('../services/scoring');
+const { DEFAULT_RULES, validateRules, evaluateRules } = require('../services/autoJudge');
+const { rankSubmissions, selectNextPair } = require('../services/pairwise');
+const { scheduleLeaderboardUpdate } = require('../services/leaderboard');
+
+const router = express.Router();
+
+const isOrganizer = (event, user) => event.organizer.toString() === user._id.toString();
+
+const isJudge = (event, user) => event.judging.judges.some(
+  j => j.toString() === user._id.toString()
+);
+
+// Submissions that need reviewing
+const findReviewableSubmissions = (eventId) => Submission.find({
+  event: eventId,
+  status: { $nin: ['draft', 'rejected'] }
+}).populate('team', 'name leader members');
+
+// Generate judge assignments
+router.post('/event/:eventId/assignments', authMiddleware, async (req, res) => {
+  try {
+    const { reviewsPerSubmission, reset = false } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.judging.judges.length === 0) {
+      return res.status(400).json({ message: 'Event has no judges' });
+    }
+
+    if (reviewsPerSubmission !== undefined) {
+      if (!Number.isInteger(reviewsPerSubmission) || reviewsPerSubmission < 1) {
+        return res.status(400).json({ message: 'Reviews per submission must be a positive integer' });
+      }
+      event.judging.reviewsPerSubmission = reviewsPerSubmission;
+    }
+
+    // Reset keeps completed reviews but releases everything still pending
+    if (reset) {
+      event.judging.assignments.forEach(a => {
+        if (a.status === 'assigned') a.status = 'reassigned';
+      });
+    }
+
+    const submissions = await findReviewableSubmissions(event._id);
+
+    const { assignments, gaps } = generateAssignments({
+      submissions,
+      judges: event.judging.judges,
+      reviewsPerSubmission: event.judging.reviewsPerSubmission,
+      conflicts: event.judging.conflicts,
+      existing: event.judging.assignments
+    });
+
+    event.judging.assignments.push(...assignments);
+    await event.save();
+
+    res.json({
+      message: 'Judge assignments generated successfully',
+      created: assignments.length,
+      gaps
+    });
+  } catch (error) {
+    console.error('Generate assignments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get current judge's review queue
+router.get('/event/:eventId/assignments/me', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .populate({
+        path: 'judging.assignments.submission',
+        select: 'project.name project.tagline links team status',
+        populate: { path: 'team', select: 'name' }
+      });
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isJudge(event, req.user)) {
+      return res.status(403).json({ message: 'Only judges have a review queue' });
+    }
+
+    const queue = activeAssignments(event.judging.assignments).filter(
+      a => a.judge.toString() === req.user._id.toString()
+    );
+    const completed = queue.filter(a => a.status === 'completed').length;
+
+    res.json({
+      queue: queue.sort((a, b) => (a.status === 'completed') - (b.status === 'completed')),
+      progress: {
+        total: queue.length,
+        completed,
+        remaining: queue.length - completed,
+        percentage: queue.length > 0 ? Math.round((completed / queue.length) * 100) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get judge queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get review coverage (organizer)
+router.get('/event/:eventId/coverage', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const submissions = await findReviewableSubmissions(event._id);
+
+    const coverage = getCoverage({
+      submissions,
+      judges: event.judging.judges,
+      reviewsPerSubmission: event.judging.reviewsPerSubmission,
+      assignments: event.judging.assignments
+    });
+
+    res.json({ coverage });
+  } catch (error) {
+    console.error('Get coverage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reassign a judge's outstanding reviews
+router.post('/event/:eventId/assignments/reassign', authMiddleware, async (req, res) => {
+  try {
+    const { fromJudge, toJudge } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (toJudge && !event.judging.judges.some(j => j.toString() === toJudge)) {
+      return res.status(400).json({ message: 'Target user is not a judge for this event' });
+    }
+
+    const outstanding = event.judging.assignments.filter(
+      a => a.judge.toString() === fromJudge && a.status === 'assigned'
+    );
+
+    if (outstanding.length === 0) {
+      return res.status(400).json({ message: 'Judge has no outstanding reviews' });
+    }
+
+    outstanding.forEach(a => {
+      a.status = 'reassigned';
+    });
+
+    const submissions = await findReviewableSubmissions(event._id);
+    const affected = submissions.filter(s =>
+      outstanding.some(a => a.submission.toString() === s._id.toString())
+    );
+
+    let assignments;
+    let gaps;
+
+    if (toJudge) {
+      // Hand everything to one judge, skipping anything they can't review
+      const alreadyReviewing = activeAssignments(event.judging.assignments)
+        .filter(a => a.judge.toString() === toJudge)
+        .map(a => a.submission.toString());
+
+      const handover = affected.filter(s =>
+        !alreadyReviewing.includes(s._id.toString()) &&
+        !hasConflict(toJudge, s.team, event.judging.conflicts)
+      );
+
+      assignments = handover.map(s => ({
+        judge: toJudge,
+        submission: s._id,
+        team: s.team._id,
+        status: 'assigned',
+        assignedAt: new Date()
+      }));
+      gaps = affected
+        .filter(s => !handover.includes(s))
+        .map(s => ({ submission: s._id, team: s.team._id }));
+    } else {
+      ({ assignments, gaps } = generateAssignments({
+        submissions: affected,
+        judges: event.judging.judges.filter(j => j.toString() !== fromJudge),
+        reviewsPerSubmission: event.judging.reviewsPerSubmission,
+        conflicts: event.judging.conflicts,
+        existing: event.judging.assignments
+      }));
+    }
+
+    event.judging.assignments.push(...assignments);
+    await event.save();
+
+    res.json({
+      message: 'Reviews reassigned successfully',
+      released: outstanding.length,
+      reassigned: assignments.length,
+      gaps
+    });
+  } catch (error) {
+    console.error('Reassign reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Declare a conflict of interest with a team
+router.post('/event/:eventId/conflicts', authMiddleware, async (req, res) => {
+  try {
+    const { teamId, reason, judgeId } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Judges declare their own conflicts; organizers can declare for any judge
+    const judge = isOrganizer(event, req.user) && judgeId ? judgeId : req.user._id.toString();
+
+    if (!event.judging.judges.some(j => j.toString() === judge)) {
+      return res.status(403).json({ message: 'Only judges can declare conflicts' });
+    }
+
+    if (!event.teams.some(t => t.toString() === teamId)) {
+      return res.status(400).json({ message: 'Team is not part of this event' });
+    }
+
+    const exists = event.judging.conflicts.some(
+      c => c.judge.toString() === judge && c.team.toString() === teamId
+    );
+
+    if (!exists) {
+      event.judging.conflicts.push({ judge, team: teamId, reason, declaredAt: new Date() });
+    }
+
+    // Release any pending review of that team
+    let released = 0;
+    event.judging.assignments.forEach(a => {
+      if (a.judge.toString() === judge && a.team.toString() === teamId && a.status === 'assigned') {
+        a.status = 'reassigned';
+        released += 1;
+      }
+    });
+
+    await event.save();
+
+    res.json({
+      message: 'Conflict declared successfully',
+      released
+    });
+  } catch (error) {
+    console.error('Declare conflict error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get per-judge scoring statistics (organizer)
+router.get('/event/:eventId/judge-stats', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const submissions = await Submission.find({ event: event._id }).select('judging.scores');
+    const stats = getJudgeStats(submissions);
+
+    const users = await User.find({ _id: { $in: stats.judges.map(j => j.judge) } })
+      .select('username profile.avatar');
+
+    stats.judges.forEach(entry => {
+      entry.judge = users.find(u => u._id.toString() === entry.judge) || entry.judge;
+    });
+
+    res.json({
+      normalization: event.judging.normalization,
+      stats
+    });
+  } catch (error) {
+    console.error('Get judge stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set how judge scores are normalized before aggregating
+router.put('/event/:eventId/normalization', authMiddleware, async (req, res) => {
+  try {
+    const { mode } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!['none', 'zscore', 'minmax'].includes(mode)) {
+      return res.status(400).json({ message: 'Normalization must be none, zscore or minmax' });
+    }
+
+    event.judging.normalization = mode;
+    await event.save();
+
+    // Every judge score is rescaled, so the whole board is rebuilt
+    scheduleLeaderboardUpdate(req.app.get('io'), event._id);
+
+    res.json({
+      message: 'Normalization updated successfully',
+      normalization: event.judging.normalization
+    });
+  } catch (error) {
+    console.error('Update normalization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the next pair of submissions for a judge to compare
+router.get('/event/:eventId/pairwise/next', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.judging.mode !== 'pairwise') {
+      return res.status(400).json({ message: 'Event does not use pairwise judging' });
+    }
+
+    if (!isJudge(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to judge this event' });
+    }
+
+    if (event.status !== 'judging') {
+      return res.status(400).json({ message: 'Judging is not open for this event' });
+    }
+
+    const pairSelect = 'project links media team';
+
+    // Finish the pair already handed out before getting a new one
+    let comparison = await Comparison.findOne({
+      event: event._id,
+      judge: req.user._id,
+      status: 'pending'
+    }).populate('submissions', pairSelect);
+
+    if (!comparison) {
+      const submissions = await findReviewableSubmissions(event._id);
+      const history = await Comparison.find({
+        event: event._id,
+        $or: [{ judge: req.user._id }, { status: 'decided' }]
+      }).select('judge submissions winner loser status');
+
+      const pair = selectNextPair({
+        itemIds: submissions.map(s => s._id),
+        decisions: history.filter(c => c.status === 'decided'),
+        seenPairs: history
+          .filter(c => c.judge.toString() === req.user._id.toString())
+          .map(c => c.submissions),
+        excluded: submissions
+          .filter(s => hasConflict(req.user._id, s.team, event.judging.conflicts))
+          .map(s => s._id)
+      });
+
+      if (!pair) {
+        return res.json({ comparison: null, message: 'No more pairs to compare' });
+      }
+
+      comparison = new Comparison({
+        event: event._id,
+        judge: req.user._id,
+        submissions: pair
+      });
+      await comparison.save();
+      await comparison.populate('submissions', pairSelect);
+    }
+
+    res.json({ comparison });
+  } catch (error) {
+    console.error('Get next pair error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record a judge's decision for a pair
+router.post('/event/:eventId/pairwise/:comparisonId/decision', authMiddleware, async (req, res) => {
+  try {
+    const { winner, skip = false } = req.body;
+    const event = await Event.findById(req.params.eventId).select('status judging.mode judging.judges');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.judging.mode !== 'pairwise') {
+      return res.status(400).json({ message: 'Event does not use pairwise judging' });
+    }
+
+    // A judge removed from the panel can't finish pairs handed out earlier
+    if (!isJudge(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to judge this event' });
+    }
+
+    if (event.status !== 'judging') {
+      return res.status(400).json({ message: 'Judging is not open for this event' });
+    }
+
+    const comparison = await Comparison.findOne({
+      _id: req.params.comparisonId,
+      event: event._id
+    });
+
+    if (!comparison) {
+      return res.status(404).json({ message: 'Comparison not found' });
+    }
+
+    if (comparison.judge.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (comparison.status !== 'pending') {
+      return res.status(400).json({ message: 'Comparison already decided' });
+    }
+
+    if (skip) {
+      comparison.status = 'skipped';
+    } else {
+      const loser = comparison.submissions.find(s => s.toString() !== winner);
+
+      if (!winner || !comparison.submissions.some(s => s.toString() === winner) || !loser) {
+        return res.status(400).json({ message: 'Winner must be one of the compared submissions' });
+      }
+
+      comparison.winner = winner;
+      comparison.loser = loser;
+      comparison.status = 'decided';
+    }
+
+    comparison.decidedAt = new Date();
+    await comparison.save();
+
+    // A decision can move every entry in the pairwise ranking
+    if (!skip) scheduleLeaderboardUpdate(req.app.get('io'), event._id);
+
+    res.json({
+      message: skip ? 'Comparison skipped' : 'Decision recorded successfully',
+      comparison
+    });
+  } catch (error) {
+    console.error('Record decision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current pairwise ranking (organizer and judges)
+router.get('/event/:eventId/pairwise/ranking', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user) && !isJudge(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const submissions = await findReviewableSubmissions(event._id);
+    const decisions = await Comparison.find({ event: event._id, status: 'decided' })
+      .select('winner loser');
+
+    const ranking = rankSubmissions(submissions.map(s => s._id), decisions).map(r => {
+      const submission = submissions.find(s => s._id.toString() === r.submission);
+      return {
+        rank: r.rank,
+        submission: {
+          _id: submission._id,
+          project: { name: submission.project.name },
+          team: { _id: submission.team._id, name: submission.team.name }
+        },
+        score: r.score,
+        confidence: r.confidence,
+        comparisons: r.comparisons
+      };
+    });
+
+    res.json({
+      totalDecisions: decisions.length,
+      ranking
+    });
+  } catch (error) {
+    console.error('Get pairwise ranking error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the event's automated scoring rules
+router.get('/event/:eventId/auto-rules', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer judging');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const isDefault = event.judging.autoRules.length === 0;
+
+    res.json({
+      rules: isDefault ? DEFAULT_RULES : event.judging.autoRules,
+      isDefault
+    });
+  } catch (error) {
+    console.error('Get auto rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the event's automated scoring rules
+router.put('/event/:eventId/auto-rules', authMiddleware, async (req, res) => {
+  try {
+    const { rules } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const error = validateRules(rules, event.judging.criteria);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    event.judging.autoRules = rules;
+    await event.save();
+
+    scheduleLeaderboardUpdate(req.app.get('io'), event._id);
+
+    res.json({
+      message: 'Automated scoring rules updated successfully',
+      rules: event.judging.autoRules
+    });
+  } catch (error) {
+    console.error('Update auto rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview how submissions would score under a set of rules, without saving
+router.post('/event/:eventId/auto-rules/dry-run', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    let rules = req.body.rules || event.judging.autoRules;
+    if (rules.length === 0) rules = DEFAULT_RULES;
+
+    const error = validateRules(rules, event.judging.criteria);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const submissions = await Submission.find({ event: event._id, status: 'submitted' })
+      .populate('team', 'name');
+
+    const results = submissions.map(submission => {
+      const autoScores = evaluateRules(submission, rules);
+      const humanScores = submission.judging.scores.filter(score => score.judge);
+      const projected = scoreSubmission([...humanScores, ...autoScores], event.judging.criteria);
+
+      return {
+        submission: submission._id,
+        project: submission.project.name,
+        team: submission.team && submission.team.name,
+        scores: autoScores,
+        currentTotal: submission.judging.totalScore,
+        projectedTotal: projected.totalScore,
+        change: Math.round((projected.totalScore - submission.judging.totalScore) * 100) / 100
+      };
+    });
+
+    results.sort((a, b) => b.projectedTotal - a.projectedTotal);
+
+    res.json({ rules, results });
+  } catch (error) {
+    console.error('Auto rules dry run error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,134 @@
 const express = require('express');
 const router = express.Router();
-const Submission = require('../models/Submission');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const GlobalRating = require('../models/GlobalRating');
+const {
+  RATING_CATEGORIES,
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION
+} = require('../services/globalRatings');
 
-// GET /api/leaderboard - Top 10 submissions by score
+const SUBJECTS = { users: 'User', teams: 'Team' };
+
+const SUBJECT_FIELDS = {
+  User: 'username profile.avatar',
+  Team: 'name event'
+};
+
+const categoryError = (type) => RATING_CATEGORIES.includes(type)
+  ? null
+  : `Type must be one of ${RATING_CATEGORIES.join(', ')}`;
+
+// GET /api/leaderboard - Platform-wide ratings from finished events.
+// ?type=overall|hackathon|game-jam|design-sprint, ?subject=users|teams
 router.get('/', async (req, res) => {
   try {
-    const leaderboard = await Submission.find().sort({ score: -1 }).limit(10);
-    res.json(leaderboard);
+    const { type = 'overall', subject = 'users', minEvents = 1 } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const error = categoryError(type);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const kind = SUBJECTS[subject];
+    if (!kind) {
+      return res.status(400).json({ message: 'Subject must be users or teams' });
+    }
+
+    const query = { kind, category: type, events: { $gte: parseInt(minEvents) || 1 } };
+    const [ratings, total] = await Promise.all([
+      GlobalRating.find(query)
+        .select('-history')
+        .sort({ conservativeRating: -1, rating: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('subject', SUBJECT_FIELDS[kind]),
+      GlobalRating.countDocuments(query)
+    ]);
+
+    res.json({
+      type,
+      subject,
+      rankings: ratings.map((rating, index) => ({
+        rank: (page - 1) * limit + index + 1,
+        subject: rating.subject,
+        rating: rating.rating,
+        deviation: rating.deviation,
+        conservativeRating: rating.conservativeRating,
+        events: rating.events,
+        wins: rating.wins,
+        podiums: rating.podiums,
+        lastEventAt: rating.lastEventAt
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
   } catch (err) {
+    console.error('Get global leaderboard error:', err);
     res.status(500).json({ message: 'Failed to fetch leaderboard' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// A user's or team's rating and how each event changed it
+const sendHistory = (Model, kind) => async (req, res) => {
+  try {
+    const { type = 'overall' } = req.query;
+    const id = req.params[kind === 'User' ? 'userId' : 'teamId'];
+
+    const error = categoryError(type);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const subject = await Model.findById(id).select(SUBJECT_FIELDS[kind]);
+    if (!subject) {
+      return res.status(404).json({ message: `${kind} not found` });
+    }
+
+    const rating = await GlobalRating.findOne({ kind, subject: subject._id, category: type })
+      .populate('history.event', 'title type endDate');
+
+    // Nobody has finished an event in this category yet
+    if (!rating) {
+      return res.json({
+        subject,
+        type,
+        rating: DEFAULT_RATING,
+        deviation: DEFAULT_DEVIATION,
+        events: 0,
+        wins: 0,
+        podiums: 0,
+        history: []
+      });
+    }
+
+    res.json({
+      subject,
+      type,
+      rating: rating.rating,
+      deviation: rating.deviation,
+      conservativeRating: rating.conservativeRating,
+      events: rating.events,
+      wins: rating.wins,
+      podiums: rating.podiums,
+      history: rating.history
+    });
+  } catch (err) {
+    console.error('Get rating history error:', err);
+    res.status(500).json({ message: 'Failed to fetch rating history' });
+  }
+};
+
+// GET /api/leaderboard/users/:userId/history
+router.get('/users/:userId/history', sendHistory(User, 'User'));
+
+// GET /api/leaderboard/teams/:teamId/history
+router.get('/teams/:teamId/history', sendHistory(Team, 'Team'));
+
+module.exports = router;
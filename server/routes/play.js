@@ -0,0 +1,101 @@
+const express = require('express');
+const path = require('path');
+const mongoose = require('mongoose');
+const Submission = require('../models/Submission');
+const { buildDirectory } = require('../services/builds');
+
+const router = express.Router();
+
+// Types that send's lookup table gets wrong or doesn't know. Engines
+// ship compressed assets as e.g. game.wasm.br and expect the browser to
+// decode them, so those are served with the inner file's type.
+const MIME_TYPES = {
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.pck': 'application/octet-stream',
+  '.unityweb': 'application/octet-stream'
+};
+
+const ENCODINGS = {
+  '.br': 'br',
+  '.gz': 'gzip'
+};
+
+// Builds run as untrusted code: the sandbox gives the page an opaque
+// origin, so it can't read the app's cookies or storage or call the API
+// as the viewer, even when served from the app's own host
+const CONTENT_SECURITY_POLICY = [
+  'sandbox allow-scripts allow-pointer-lock allow-popups allow-downloads',
+  "default-src 'self' data: blob:",
+  "script-src 'self' 'unsafe-inline' 'unsafe-eval' 'wasm-unsafe-eval' blob:",
+  "style-src 'self' 'unsafe-inline'",
+  "connect-src 'self' data: blob:",
+  "base-uri 'none'",
+  "form-action 'none'"
+].join('; ');
+
+const contentHeaders = (filePath) => {
+  const headers = {};
+  let name = path.basename(filePath).toLowerCase();
+
+  const encoding = ENCODINGS[path.extname(name)];
+  if (encoding) {
+    headers['Content-Encoding'] = encoding;
+    name = name.slice(0, -path.extname(name).length);
+  }
+
+  const type = Object.keys(MIME_TYPES).find(ext => name.endsWith(ext));
+  if (type) {
+    headers['Content-Type'] = MIME_TYPES[type];
+  } else if (encoding) {
+    headers['Content-Type'] = express.static.mime.lookup(name);
+  }
+
+  return headers;
+};
+
+// Serve a file from an uploaded build
+router.get('/:submissionId/:version/*', async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.submissionId) || !Number.isInteger(version)) {
+      return res.status(404).send('Build not found');
+    }
+
+    const submission = await Submission.findById(req.params.submissionId)
+      .select('builds.version');
+
+    if (!submission || !submission.builds.some(b => b.version === version)) {
+      return res.status(404).send('Build not found');
+    }
+
+    const file = req.params[0] || 'index.html';
+
+    res.set({
+      'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      // Sandboxed pages send Origin: null when fetching their own assets
+      'Access-Control-Allow-Origin': '*',
+      ...contentHeaders(file)
+    });
+
+    // send refuses paths that climb out of root
+    res.sendFile(file, {
+      root: buildDirectory(submission._id, version),
+      dotfiles: 'deny',
+      maxAge: '1h'
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 404).send('Not found');
+      }
+    });
+  } catch (error) {
+    console.error('Play build error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,39 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const Submission = require('../models/Submission');
 const Team = require('../models/Team');
 const Event = require('../models/Event');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { hasConflict } = require('../services/judgeAssignment');
+const {
+  ensureFreezeSnapshot,
+  hidesLiveResults,
+  scheduleLeaderboardUpdate,
+  withoutLiveResults
+} = require('../services/leaderboard');
+const { analyzeRepository } = require('../services/repoAnalysis');
+const { buildComplianceReport, checkBundleCompliance } = require('../services/compliance');
+const { getSubmissionWindow, isOpenField } = require('../services/deadlines');
+const { diffFields } = require('../services/fieldDiff');
+const { recordRevision, findJudgedRevision, snapshotOf } = require('../services/revisions');
+const SubmissionRevision = require('../models/SubmissionRevision');
+const { inspectZip, measureZip, sha256File } = require('../services/archives');
+const { findUserTeams, checkVoterEligibility, recordVoteAudit } = require('../services/voteIntegrity');
+const {
+  validateRatings,
+  getKarma,
+  selectNextEntry,
+  getCategoryResults
+} = require('../services/ratings');
+const {
+  BUILDS_DIR,
+  extractBuild,
+  findJudgedBuild,
+  getPlayableBuild,
+  playerUrl
+} = require('../services/builds');
 
 const router = express.Router();
 
@@ -37,11 +66,125 @@ const upload = multer({
   }
 });
 
+// Repository archives (git bundle or zip) for metadata analysis
+const repositoryUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, 'uploads/repositories/');
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'repository-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+  }),
+  limits: {
+    fileSize: 100 * 1024 * 1024 // 100MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(bundle|zip)$/i.test(file.originalname)) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Repository must be a git bundle or zip archive'));
+    }
+  }
+});
+
+// Deliverable archives (source zips, game builds, binaries)
+const deliverableUploadOptions = {
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, 'uploads/deliverables/');
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'deliverable-' + uniqueSuffix + '.zip');
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      return cb(null, true);
+    } else {
+      cb(new Error('Deliverables must be zip archives'));
+    }
+  }
+};
+
+// No single deliverable can be bigger than the whole event quota, so the
+// upload is cut off there instead of being written out in full first
+const deliverableUpload = async (req, res, next) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('event', 'requirements.deliverableQuotaMB');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const quotaMB = submission.event.requirements.deliverableQuotaMB;
+    const upload = multer({
+      ...deliverableUploadOptions,
+      limits: { fileSize: quotaMB * 1024 * 1024 }
+    }).single('file');
+
+    upload(req, res, (error) => {
+      if (error && error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: `Deliverables exceed the event quota of ${quotaMB}MB` });
+      }
+      next(error);
+    });
+  } catch (error) {
+    console.error('Upload deliverable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Zipped HTML5 builds for game-jam entries, unpacked after upload
+const buildUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const incoming = path.join(BUILDS_DIR, 'incoming');
+      fs.mkdir(incoming, { recursive: true }, (error) => cb(error, incoming));
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'build-' + uniqueSuffix + '.zip');
+    }
+  }),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      return cb(null, true);
+    } else {
+      cb(new Error('Web builds must be zip archives'));
+    }
+  }
+});
+
+const buildSummary = (submission, build) => ({
+  version: build.version,
+  entry: build.entry,
+  originalName: build.originalName,
+  size: build.size,
+  fileCount: build.fileCount,
+  sha256: build.sha256,
+  uploadedAt: build.uploadedAt,
+  playerUrl: playerUrl(submission._id, build),
+  judged: submission.judgedBuild === build.version
+});
+
 // Get all submissions for an event
-router.get('/event/:eventId', async (req, res) => {
+router.get('/event/:eventId', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, sortBy = 'createdAt', order = 'desc' } = req.query;
-    
+    const { page = 1, limit = 10, order = 'desc' } = req.query;
+    let { sortBy = 'createdAt' } = req.query;
+
+    // While the leaderboard is frozen, scores can't be shown or sorted by
+    const event = await Event.findById(req.params.eventId).select('organizer leaderboardFreeze');
+    const hideResults = !!event && hidesLiveResults(event, req.user);
+    if (hideResults && /^(judging|voting)\./.test(sortBy)) sortBy = 'createdAt';
+
     const sortOption = {};
     sortOption[sortBy] = order === 'desc' ? -1 : 1;
 
@@ -68,7 +211,9 @@ router.get('/event/:eventId', async (req, res) => {
     });
 
     res.json({
-      submissions,
+      submissions: hideResults
+        ? submissions.map(submission => withoutLiveResults(submission.toObject(), req.user))
+        : submissions,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -80,12 +225,12 @@ router.get('/event/:eventId', async (req, res) => {
 });
 
 // Get submission by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const submission = await Submission.findById(req.params.id)
       .populate('team')
       .populate('submittedBy', 'username profile')
-      .populate('event', 'title judging')
+      .populate('event', 'title type organizer judging.criteria judging.mode judging.judges leaderboardFreeze')
       .populate('judging.scores.judge', 'username profile.avatar')
       .populate('voting.votes.user', 'username')
       .populate('feedback.from', 'username profile.avatar')
@@ -101,7 +246,18 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Submission not found' });
     }
 
-    res.json({ submission });
+    // Compliance reports are only for judges and organizers
+    const canReview = req.user && canReviewSubmission(submission.event, req.user);
+    const data = submission.toObject();
+    if (!canReview) delete data.compliance;
+    if (hidesLiveResults(submission.event, req.user)) withoutLiveResults(data, req.user);
+    delete data.event.leaderboardFreeze;
+    delete data.event.judging.judges;
+
+    const build = getPlayableBuild(submission);
+    data.playerUrl = build ? playerUrl(submission._id, build) : null;
+
+    res.json({ submission: data });
   } catch (error) {
     console.error('Get submission error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -134,19 +290,61 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Only team members can create submissions' });
     }
 
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
     // Check if submission already exists
     let submission = await Submission.findOne({ team: teamId, event: eventId });
 
-    if (submission) {
+    const window = getSubmissionWindow(event, teamId);
+    const isSubmitted = submission && submission.status !== 'draft';
+
+    if (!window.isOpen && status === 'submitted' && !isSubmitted) {
+      return res.status(403).json({
+        message: 'The submission deadline has passed',
+        deadline: window.deadline
+      });
+    }
+
+    if (isSubmitted && window.isLocked) {
+      // Judging has started: only fields the organizer left open can change
+      const current = submission.toObject();
+      const changes = diffFields(
+        {
+          project: current.project,
+          links: current.links,
+          metadata: Object.keys(metadata || {}).reduce((fields, key) => {
+            fields[key] = current.metadata && current.metadata[key];
+            return fields;
+          }, {}),
+          status: current.status
+        },
+        { project, links, metadata, status }
+      );
+
+      const lockedChanges = changes.filter(c => !isOpenField(event, c.field));
+      if (lockedChanges.length > 0) {
+        return res.status(403).json({
+          message: 'Submission is locked for judging',
+          lockedFields: lockedChanges.map(c => c.field),
+          openFields: event.submissionPolicy.openFields
+        });
+      }
+
+      changes.forEach(c => submission.set(c.field, c.after));
+    } else if (submission) {
       // Update existing submission
       submission.project = project;
       submission.links = links;
-      submission.metadata = metadata;
+      submission.setMetadata(metadata);
       submission.status = status;
       
       if (status === 'submitted' && !submission.submittedAt) {
         submission.submittedAt = new Date();
         submission.submittedBy = req.user._id;
+        submission.late = window.isLate;
       }
     } else {
       // Create new submission
@@ -158,18 +356,19 @@ router.post('/', authMiddleware, async (req, res) => {
         metadata,
         status,
         submittedBy: req.user._id,
-        submittedAt: status === 'submitted' ? new Date() : undefined
+        submittedAt: status === 'submitted' ? new Date() : undefined,
+        late: status === 'submitted' && window.isLate
       });
     }
 
     await submission.save();
+    await recordRevision(submission, req.user._id);
 
     // Update team submission reference
     team.submission = submission._id;
     await team.save();
 
     // Add to event submissions if not already added
-    const event = await Event.findById(eventId);
     if (!event.submissions.includes(submission._id)) {
       event.submissions.push(submission._id);
       await event.save();
@@ -177,10 +376,10 @@ router.post('/', authMiddleware, async (req, res) => {
 
     // Auto-judge if automated judging is enabled and submission is complete
     if (event.judging.isAutomated && status === 'submitted' && metadata) {
-      await submission.autoJudge();
+      await submission.autoJudge(event.judging.autoRules, event.judging.criteria);
       
       // Update leaderboard
-      await updateEventLeaderboard(eventId);
+      scheduleLeaderboardUpdate(req.app.get('io'), eventId, submission._id);
     }
 
     await submission.populate([
@@ -236,14 +435,612 @@ router.post('/:id/media', authMiddleware, upload.array('media', 5), async (req,
   }
 });
 
+// Upload repository archive and derive verified metadata from it
+router.post('/:id/repository', authMiddleware, repositoryUpload.single('repository'), async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id).populate('team event');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const isMember = submission.team.members.some(
+      m => m.user.toString() === req.user._id.toString() && m.status === 'active'
+    );
+
+    if (!isMember) {
+      return res.status(403).json({ message: 'Only team members can upload the repository' });
+    }
+
+    // The analysis rewrites metadata, so it's locked along with it
+    const window = getSubmissionWindow(submission.event, submission.team._id);
+    if (submission.status !== 'draft' && window.isLocked && !isOpenField(submission.event, 'metadata')) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return res.status(403).json({ message: 'Submission is locked for judging' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No repository archive uploaded' });
+    }
+
+    const format = path.extname(req.file.originalname).toLowerCase() === '.bundle' ? 'bundle' : 'zip';
+
+    let analysis;
+    try {
+      analysis = await analyzeRepository(req.file.path, format);
+    } catch (error) {
+      console.error('Repository analysis error:', error);
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({
+        message: error.isArchiveError ? error.message : 'Could not read the repository archive'
+      });
+    }
+
+    submission.repositoryArchive = {
+      path: req.file.path,
+      originalName: req.file.originalname,
+      format,
+      size: req.file.size,
+      uploadedAt: new Date(),
+      uploadedBy: req.user._id
+    };
+    submission.applyRepositoryAnalysis(analysis);
+
+    // Only bundles carry commit history to check against the event rules
+    if (format === 'bundle') {
+      try {
+        await runComplianceCheck(submission, analysis.history);
+      } catch (error) {
+        console.error('Compliance check error:', error);
+      }
+    }
+
+    await submission.save();
+    await recordRevision(submission, req.user._id);
+
+    res.json({
+      message: 'Repository analyzed successfully',
+      metadata: submission.metadata
+    });
+  } catch (error) {
+    console.error('Upload repository error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a deliverable archive
+router.post('/:id/deliverables', authMiddleware, deliverableUpload, async (req, res) => {
+  // Anything rejected after upload shouldn't stay on disk
+  const discard = () => req.file && fs.unlink(req.file.path, () => {});
+
+  try {
+    const { deliverable } = req.body;
+    const submission = await Submission.findById(req.params.id).populate('team event');
+
+    if (!submission) {
+      discard();
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const isMember = submission.team.members.some(
+      m => m.user.toString() === req.user._id.toString() && m.status === 'active'
+    );
+
+    if (!isMember) {
+      discard();
+      return res.status(403).json({ message: 'Only team members can upload deliverables' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const event = submission.event;
+    if (!event.requirements.deliverables.includes(deliverable)) {
+      discard();
+      return res.status(400).json({
+        message: 'Deliverable must be one of the event requirements',
+        deliverables: event.requirements.deliverables
+      });
+    }
+
+    const window = getSubmissionWindow(event, submission.team._id);
+    if (submission.status !== 'draft' && window.isLocked && !isOpenField(event, 'deliverables')) {
+      discard();
+      return res.status(403).json({ message: 'Submission is locked for judging' });
+    }
+
+    // Replacing a deliverable frees its old space
+    const existing = submission.deliverables.find(d => d.deliverable === deliverable);
+    const usedBytes = submission.deliverables
+      .filter(d => d !== existing)
+      .reduce((sum, d) => sum + d.size, 0);
+    const quotaBytes = event.requirements.deliverableQuotaMB * 1024 * 1024;
+
+    if (usedBytes + req.file.size > quotaBytes) {
+      discard();
+      return res.status(400).json({
+        message: `Deliverables exceed the event quota of ${event.requirements.deliverableQuotaMB}MB`
+      });
+    }
+
+    // Entry sizes are measured by inflating, not taken from the headers
+    let contents;
+    try {
+      contents = inspectZip(req.file.path);
+      const sizes = await measureZip(contents.zip, req.file.path);
+      contents.entries = contents.entries.map(entry => ({
+        ...entry,
+        size: entry.isDirectory ? 0 : sizes.get(entry.path) || 0
+      }));
+      contents.uncompressedSize = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    } catch (error) {
+      discard();
+      if (error.isArchiveError) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    const file = {
+      deliverable,
+      path: req.file.path,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      sha256: await sha256File(req.file.path),
+      entryCount: contents.entries.length,
+      uncompressedSize: contents.uncompressedSize,
+      entries: contents.entries,
+      uploadedBy: req.user._id,
+      uploadedAt: new Date()
+    };
+
+    if (existing) {
+      fs.unlink(existing.path, () => {});
+      submission.deliverables.pull(existing._id);
+    }
+    submission.deliverables.push(file);
+
+    await submission.save();
+
+    const saved = submission.deliverables[submission.deliverables.length - 1];
+
+    res.json({
+      message: 'Deliverable uploaded successfully',
+      deliverable: {
+        _id: saved._id,
+        deliverable: saved.deliverable,
+        originalName: saved.originalName,
+        size: saved.size,
+        sha256: saved.sha256,
+        entryCount: saved.entryCount,
+        uncompressedSize: saved.uncompressedSize
+      },
+      missing: event.requirements.deliverables.filter(
+        name => !submission.deliverables.some(d => d.deliverable === name)
+      )
+    });
+  } catch (error) {
+    discard();
+    console.error('Upload deliverable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a deliverable exactly as submitted
+router.get('/:id/deliverables/:deliverableId/download', authMiddleware, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('team', 'members')
+      .populate('event', 'organizer judging.judges');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (!canViewRevisions(submission, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to download deliverables' });
+    }
+
+    const file = submission.deliverables.id(req.params.deliverableId);
+    if (!file) {
+      return res.status(404).json({ message: 'Deliverable not found' });
+    }
+
+    res.set('X-Checksum-SHA256', file.sha256);
+    res.download(path.resolve(file.path), file.originalName);
+  } catch (error) {
+    console.error('Download deliverable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a new version of a game-jam entry's web build
+router.post('/:id/builds', authMiddleware, buildUpload.single('build'), async (req, res) => {
+  const discard = () => req.file && fs.unlink(req.file.path, () => {});
+
+  try {
+    const submission = await Submission.findById(req.params.id).populate('team event');
+
+    if (!submission) {
+      discard();
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const isMember = submission.team.members.some(
+      m => m.user.toString() === req.user._id.toString() && m.status === 'active'
+    );
+
+    if (!isMember) {
+      discard();
+      return res.status(403).json({ message: 'Only team members can upload builds' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const event = submission.event;
+    if (event.type !== 'game-jam') {
+      discard();
+      return res.status(400).json({ message: 'Playable builds are only available for game jams' });
+    }
+
+    // Builds freeze at the deadline, even for fields left open after the lock
+    const window = getSubmissionWindow(event, submission.team._id);
+    if (window.isLocked) {
+      discard();
+      return res.status(403).json({ message: 'Builds are frozen after the deadline' });
+    }
+
+    const version = submission.builds.reduce((max, b) => Math.max(max, b.version), 0) + 1;
+
+    let extracted;
+    try {
+      extracted = await extractBuild(req.file.path, submission._id, version);
+    } catch (error) {
+      discard();
+      if (error.isArchiveError) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    const sha256 = await sha256File(req.file.path);
+    discard();
+
+    submission.builds.push({
+      ...extracted,
+      originalName: req.file.originalname,
+      sha256,
+      uploadedBy: req.user._id,
+      uploadedAt: new Date()
+    });
+
+    await submission.save();
+
+    const build = submission.builds[submission.builds.length - 1];
+
+    res.json({
+      message: 'Build uploaded successfully',
+      build: buildSummary(submission, build)
+    });
+  } catch (error) {
+    discard();
+    console.error('Upload build error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List a submission's build versions with their player URLs
+router.get('/:id/builds', async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .select('team event builds judgedBuild')
+      .populate('event', 'status endDate submissionPolicy');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    // Until the scheduler pins it, show the build judges are going to get
+    const due = !submission.judgedBuild && ['judging', 'completed'].includes(submission.event.status)
+      ? findJudgedBuild(submission, submission.event)
+      : null;
+    const current = due || getPlayableBuild(submission);
+
+    res.json({
+      builds: submission.builds
+        .map(build => buildSummary(submission, build))
+        .sort((a, b) => b.version - a.version),
+      current: current ? current.version : null,
+      playerUrl: current ? playerUrl(submission._id, current) : null
+    });
+  } catch (error) {
+    console.error('Get builds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get submission revision history
+router.get('/:id/revisions', authMiddleware, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('team', 'members')
+      .populate('event', 'organizer judging.judges status endDate submissionPolicy');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (!canViewRevisions(submission, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view revisions' });
+    }
+
+    const due = submission.judgedRevision
+      ? null
+      : await findJudgedRevision(submission, submission.event);
+
+    const revisions = await SubmissionRevision.find({ submission: submission._id })
+      .select('-snapshot')
+      .populate('author', 'username profile.avatar')
+      .sort({ number: -1 });
+
+    res.json({
+      revisions,
+      currentRevision: submission.currentRevision,
+      judgedRevision: submission.judgedRevision || (due ? due.number : undefined)
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Compare two revisions
+router.get('/:id/revisions/diff', authMiddleware, async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Both from and to revision numbers are required' });
+    }
+
+    const submission = await Submission.findById(req.params.id)
+      .populate('team', 'members')
+      .populate('event', 'organizer judging.judges');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (!canViewRevisions(submission, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view revisions' });
+    }
+
+    const revisions = await SubmissionRevision.find({
+      submission: submission._id,
+      number: { $in: [from, to] }
+    });
+
+    const older = revisions.find(r => r.number === from);
+    const newer = revisions.find(r => r.number === to);
+
+    if (!older || !newer) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({
+      from,
+      to,
+      changes: diffFields(older.snapshot, newer.snapshot)
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single revision
+router.get('/:id/revisions/:number', authMiddleware, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('team', 'members')
+      .populate('event', 'organizer judging.judges');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (!canViewRevisions(submission, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view revisions' });
+    }
+
+    const revision = await SubmissionRevision.findOne({
+      submission: submission._id,
+      number: parseInt(req.params.number)
+    }).populate('author', 'username profile.avatar');
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore an older revision
+router.post('/:id/revisions/:number/restore', authMiddleware, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('team', 'members')
+      .populate('event');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const isMember = submission.team.members.some(
+      m => m.user.toString() === req.user._id.toString() && m.status === 'active'
+    );
+
+    if (!isMember) {
+      return res.status(403).json({ message: 'Only team members can restore revisions' });
+    }
+
+    const window = getSubmissionWindow(submission.event, submission.team._id);
+    if (submission.status !== 'draft' && window.isLocked) {
+      return res.status(403).json({ message: 'Submission is locked for judging' });
+    }
+
+    const revision = await SubmissionRevision.findOne({
+      submission: submission._id,
+      number: parseInt(req.params.number)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // Content comes back; the submission status stays as it is. Metadata
+    // goes through setMetadata so an older revision can't undo repository
+    // verification, and a verified revision gives back what the team
+    // reported rather than what an earlier analysis found.
+    const { verified, selfReported, ...reported } = revision.snapshot.metadata || {};
+    ['verifiedAt', 'verifiedFields', 'languages', 'authors'].forEach(field => delete reported[field]);
+
+    submission.project = revision.snapshot.project;
+    submission.links = revision.snapshot.links;
+    submission.setMetadata(verified ? { ...reported, ...selfReported } : reported);
+
+    await submission.save();
+    const restored = await recordRevision(submission, req.user._id, { restoredFrom: revision.number });
+
+    res.json({
+      message: `Revision ${revision.number} restored`,
+      revision: restored ? restored.number : submission.currentRevision,
+      submission: snapshotOf(submission)
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get compliance report (judges and organizer)
+router.get('/:id/compliance', authMiddleware, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('event', 'organizer judging.judges')
+      .populate('compliance.review.reviewedBy', 'username')
+      .select('event project.name repositoryArchive.format repositoryArchive.uploadedAt compliance status');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (!canReviewSubmission(submission.event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view compliance' });
+    }
+
+    res.json({
+      compliance: submission.compliance,
+      status: submission.status,
+      repository: submission.repositoryArchive
+    });
+  } catch (error) {
+    console.error('Get compliance error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Re-run compliance check (judges and organizer)
+router.post('/:id/compliance', authMiddleware, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id)
+      .populate('event', 'organizer judging.judges');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (!canReviewSubmission(submission.event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!submission.repositoryArchive || submission.repositoryArchive.format !== 'bundle') {
+      return res.status(400).json({ message: 'A git bundle of the repository is required' });
+    }
+
+    await runComplianceCheck(submission);
+    await submission.save();
+
+    res.json({
+      message: 'Compliance check completed',
+      compliance: submission.compliance
+    });
+  } catch (error) {
+    console.error('Run compliance error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set review status (organizer)
+router.put('/:id/review', authMiddleware, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const allowedStatuses = ['submitted', 'under-review', 'approved', 'rejected'];
+
+    if (!allowedStatuses.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${allowedStatuses.join(', ')}` });
+    }
+
+    const submission = await Submission.findById(req.params.id).populate('event', 'organizer');
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (submission.event.organizer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the organizer can review submissions' });
+    }
+
+    if (submission.status === 'draft') {
+      return res.status(400).json({ message: 'Draft submissions cannot be reviewed' });
+    }
+
+    submission.status = status;
+    submission.compliance.review = {
+      status,
+      note,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+
+    await submission.save();
+
+    // Rejected entries drop off the leaderboard
+    scheduleLeaderboardUpdate(req.app.get('io'), submission.event._id, submission._id);
+
+    res.json({
+      message: 'Submission review updated',
+      status: submission.status,
+      review: submission.compliance.review
+    });
+  } catch (error) {
+    console.error('Review submission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Vote on submission
 router.post('/:id/vote', authMiddleware, async (req, res) => {
   try {
-    const { score } = req.body; // 1-5 rating
-    
-    if (score < 1 || score > 5) {
-      return res.status(400).json({ message: 'Score must be between 1 and 5' });
-    }
+    const { score, ratings } = req.body; // 1-5 rating, or 1-5 per event category
 
     const submission = await Submission.findById(req.params.id);
 
@@ -257,30 +1054,85 @@ router.post('/:id/vote', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Voting is not open for this event' });
     }
 
+    if (event.voting.method !== 'star') {
+      return res.status(400).json({
+        message: `This event uses ${event.voting.method} voting; cast a ballot instead`
+      });
+    }
+
+    const userTeams = await findUserTeams(event._id, req.user._id);
+    if (userTeams.some(team => team._id.equals(submission.team))) {
+      return res.status(403).json({ message: 'You cannot vote for your own team' });
+    }
+
+    const ineligible = checkVoterEligibility(event, req.user, userTeams);
+    if (ineligible) {
+      return res.status(403).json({ message: ineligible });
+    }
+
+    // Events with rating categories take one score per category and use
+    // their average as the overall vote
+    const categories = event.voting.categories;
+    let overall = score;
+    let categoryRatings = [];
+
+    if (categories.length > 0) {
+      const error = validateRatings(ratings, categories);
+      if (error) {
+        return res.status(400).json({ message: error, categories });
+      }
+      categoryRatings = ratings.map(({ category, score }) => ({ category, score }));
+      overall = categoryRatings.reduce((sum, r) => sum + r.score, 0) / categoryRatings.length;
+    } else if (typeof score !== 'number' || score < 1 || score > 5) {
+      return res.status(400).json({ message: 'Score must be between 1 and 5' });
+    }
+
     // Check if user already voted
     const existingVote = submission.voting.votes.find(
       vote => vote.user.toString() === req.user._id.toString()
     );
 
+    if (existingVote && existingVote.voided) {
+      return res.status(403).json({ message: 'Your vote on this submission was voided' });
+    }
+
+    const before = existingVote
+      ? { score: existingVote.score, ratings: existingVote.ratings.toObject() }
+      : undefined;
+
     if (existingVote) {
-      existingVote.score = score;
+      existingVote.score = overall;
+      existingVote.ratings = categoryRatings;
       existingVote.timestamp = new Date();
     } else {
       submission.voting.votes.push({
         user: req.user._id,
-        score,
+        score: overall,
+        ratings: categoryRatings,
         timestamp: new Date()
       });
     }
 
     await submission.save();
 
+    await recordVoteAudit({
+      event: event._id,
+      submission: submission._id,
+      user: req.user._id,
+      kind: 'star',
+      action: existingVote ? 'changed' : 'cast',
+      before,
+      after: { score: overall, ratings: categoryRatings }
+    }, req);
+
     // Update leaderboard
-    await updateEventLeaderboard(submission.event);
+    scheduleLeaderboardUpdate(req.app.get('io'), submission.event, submission._id);
 
     res.json({
       message: 'Vote submitted successfully',
-      averageScore: submission.voting.publicVotes
+      averageScore: submission.voting.publicVotes,
+      categoryScores: submission.voting.categoryScores,
+      ratingCount: submission.voting.votes.filter(v => !v.voided).length
     });
   } catch (error) {
     console.error('Vote error:', error);
@@ -308,9 +1160,27 @@ router.post('/:id/judge', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to judge this submission' });
     }
 
-    // Remove existing scores from this judge
+    const isOrganizer = event.organizer.toString() === req.user._id.toString();
+    await submission.populate('team', 'leader members');
+
+    if (!isOrganizer && hasConflict(req.user._id, submission.team, event.judging.conflicts)) {
+      return res.status(403).json({ message: 'You have a conflict of interest with this team' });
+    }
+
+    // Once assignments exist, judges only review what they were assigned
+    const assignment = event.judging.assignments.find(
+      a => a.judge.toString() === req.user._id.toString() &&
+        a.submission.toString() === submission._id.toString() &&
+        a.status !== 'reassigned'
+    );
+
+    if (!isOrganizer && event.judging.assignments.length > 0 && !assignment) {
+      return res.status(403).json({ message: 'This submission is not in your review queue' });
+    }
+
+    // Remove existing scores from this judge; auto-judged rows have no judge
     submission.judging.scores = submission.judging.scores.filter(
-      score => score.judge.toString() !== req.user._id.toString()
+      score => !score.judge || score.judge.toString() !== req.user._id.toString()
     );
 
     // Add new scores
@@ -326,6 +1196,7 @@ router.post('/:id/judge', authMiddleware, async (req, res) => {
     });
 
     submission.judging.status = 'judged';
+    submission.applyScoring(event.judging.criteria);
 
     if (feedback) {
       submission.feedback.push({
@@ -338,8 +1209,20 @@ router.post('/:id/judge', authMiddleware, async (req, res) => {
 
     await submission.save();
 
+    if (assignment && assignment.status === 'assigned') {
+      await Event.updateOne(
+        { _id: event._id, 'judging.assignments._id': assignment._id },
+        {
+          $set: {
+            'judging.assignments.$.status': 'completed',
+            'judging.assignments.$.completedAt': new Date()
+          }
+        }
+      );
+    }
+
     // Update leaderboard
-    await updateEventLeaderboard(submission.event._id);
+    scheduleLeaderboardUpdate(req.app.get('io'), submission.event._id, submission._id);
 
     res.json({
       message: 'Submission judged successfully',
@@ -406,13 +1289,14 @@ router.get('/:id/analytics', authMiddleware, async (req, res) => {
     const analytics = {
       views: submission.views || 0,
       votes: {
-        count: submission.voting.votes.length,
+        count: submission.voting.votes.filter(v => !v.voided).length,
         average: submission.voting.publicVotes,
         distribution: {}
       },
       judging: {
         totalScore: submission.judging.totalScore,
         averageScore: submission.judging.averageScore,
+        weightedBreakdown: submission.judging.breakdown,
         criteriaBreakdown: {}
       },
       feedback: {
@@ -424,7 +1308,7 @@ router.get('/:id/analytics', authMiddleware, async (req, res) => {
 
     // Vote distribution
     for (let i = 1; i <= 5; i++) {
-      analytics.votes.distribution[i] = submission.voting.votes.filter(v => v.score === i).length;
+      analytics.votes.distribution[i] = submission.voting.votes.filter(v => !v.voided && v.score === i).length;
     }
 
     // Criteria breakdown
@@ -484,7 +1368,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     await Submission.findByIdAndDelete(req.params.id);
 
     // Update leaderboard
-    await updateEventLeaderboard(submission.event._id);
+    scheduleLeaderboardUpdate(req.app.get('io'), submission.event._id, submission._id);
 
     res.json({ message: 'Submission deleted successfully' });
   } catch (error) {
@@ -505,7 +1389,13 @@ router.get('/team/:teamId/event/:eventId', authMiddleware, async (req, res) => {
     .populate('judging.scores.judge', 'username')
     .populate('feedback.from', 'username profile.avatar');
 
-    res.json({ submission });
+    const event = await Event.findById(req.params.eventId)
+      .select('status endDate submissionPolicy');
+
+    res.json({
+      submission,
+      window: event ? getSubmissionWindow(event, req.params.teamId) : null
+    });
   } catch (error) {
     console.error('Get team submission error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -513,10 +1403,48 @@ router.get('/team/:teamId/event/:eventId', authMiddleware, async (req, res) => {
 });
 
 // Get top submissions (featured/popular)
-router.get('/event/:eventId/top', async (req, res) => {
+router.get('/event/:eventId/top', optionalAuth, async (req, res) => {
   try {
     const { limit = 6 } = req.query;
 
+    const event = await Event.findById(req.params.eventId)
+      .select('organizer leaderboard leaderboardFreeze');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // While frozen, the order comes from the frozen standings instead
+    if (hidesLiveResults(event, req.user)) {
+      await ensureFreezeSnapshot(event);
+      const ranked = event.leaderboardFreeze.snapshot.map(entry => entry.submission.toString());
+      const position = (submission) => {
+        const index = ranked.indexOf(submission._id.toString());
+        return index === -1 ? ranked.length : index;
+      };
+
+      const submissions = await Submission.find({
+        event: event._id,
+        status: 'submitted'
+      })
+      .populate({
+        path: 'team',
+        select: 'name members',
+        populate: {
+          path: 'members.user',
+          select: 'username profile.avatar'
+        }
+      })
+      .sort({ createdAt: 1 });
+
+      const topSubmissions = submissions
+        .sort((a, b) => position(a) - position(b))
+        .slice(0, parseInt(limit))
+        .map(submission => withoutLiveResults(submission.toObject(), req.user));
+
+      return res.json({ submissions: topSubmissions });
+    }
+
     const topSubmissions = await Submission.find({
       event: req.params.eventId,
       status: 'submitted'
@@ -539,42 +1467,124 @@ router.get('/event/:eventId/top', async (req, res) => {
   }
 });
 
-// Helper function to update event leaderboard
-async function updateEventLeaderboard(eventId) {
+// Next game-jam entry for the current user to rate
+router.get('/event/:eventId/rate-next', authMiddleware, async (req, res) => {
   try {
-    const event = await Event.findById(eventId).populate('submissions');
-    
-    const leaderboard = [];
-
-    for (const submission of event.submissions) {
-      if (submission.status === 'submitted' && submission.judging.totalScore > 0) {
-        await submission.populate('team');
-        
-        leaderboard.push({
-          team: submission.team._id,
-          submission: submission._id,
-          totalScore: submission.judging.totalScore + (submission.voting.publicVotes * 10), // Combine judge + public scores
-          scores: submission.judging.scores,
-          rank: 0,
-          updatedAt: new Date()
-        });
-      }
+    const event = await Event.findById(req.params.eventId).select('status voting');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Sort and assign ranks
-    leaderboard.sort((a, b) => b.totalScore - a.totalScore);
-    leaderboard.forEach((entry, index) => {
-      entry.rank = index + 1;
+    if (event.status !== 'judging' && event.status !== 'completed') {
+      return res.status(400).json({ message: 'Voting is not open for this event' });
+    }
+
+    const [submissions, teams] = await Promise.all([
+      Submission.find({ event: event._id, status: { $ne: 'draft' } })
+        .select('team project.name project.description voting.votes'),
+      Team.find({ event: event._id }).select('members')
+    ]);
+
+    const userTeamIds = teams
+      .filter(team => team.members.some(
+        m => m.user.toString() === req.user._id.toString() && m.status === 'active'
+      ))
+      .map(team => team._id);
+
+    const karma = getKarma(submissions, teams);
+    const next = selectNextEntry({
+      submissions,
+      karma,
+      userId: req.user._id,
+      userTeamIds
     });
 
-    event.leaderboard = leaderboard;
-    await event.save();
+    const ownKarma = userTeamIds.length > 0
+      ? karma.get(userTeamIds[0].toString()) || { given: 0, received: 0 }
+      : null;
 
-    return leaderboard;
+    res.json({
+      submission: next ? {
+        _id: next._id,
+        team: next.team,
+        project: next.project,
+        ratingCount: next.voting.votes.filter(v => !v.voided).length
+      } : null,
+      categories: event.voting.categories,
+      karma: ownKarma
+    });
   } catch (error) {
-    console.error('Update leaderboard error:', error);
-    return [];
+    console.error('Get next entry to rate error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+});
+
+// Per-category rating results
+router.get('/event/:eventId/ratings', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer voting leaderboardFreeze');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Results stay hidden with the rest of the frozen leaderboard
+    if (hidesLiveResults(event, req.user)) {
+      return res.json({ minRatings: event.voting.minRatings, categories: [], frozen: true });
+    }
+
+    const submissions = await Submission.find({
+      event: event._id,
+      status: { $ne: 'draft' }
+    })
+    .select('team project.name voting.votes.user voting.votes.voided voting.categoryScores')
+    .populate('team', 'name');
+
+    res.json({
+      minRatings: event.voting.minRatings,
+      categories: getCategoryResults(submissions, event.voting.categories, event.voting.minRatings)
+    });
+  } catch (error) {
+    console.error('Get rating results error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to check whether a user can see review material
+function canReviewSubmission(event, user) {
+  return event.organizer.toString() === user._id.toString() ||
+    event.judging.judges.some(j => j.toString() === user._id.toString());
+}
+
+// Helper function to check whether a user can see a submission's history
+function canViewRevisions(submission, user) {
+  const isMember = submission.team.members.some(
+    m => m.user.toString() === user._id.toString()
+  );
+  return isMember || canReviewSubmission(submission.event, user);
+}
+
+// Helper function to check the submission's git history against the event rules.
+// Pass commits already read from the bundle to skip cloning it again.
+async function runComplianceCheck(submission, commits = null) {
+  const event = await Event.findById(submission.event).select('startDate endDate status submissionPolicy');
+  const team = await Team.findById(submission.team)
+    .populate('members.user', 'username email profile.firstName profile.lastName profile.github');
+
+  const rules = {
+    startDate: event.startDate,
+    deadline: getSubmissionWindow(event, team._id).deadline,
+    members: team.members.map(m => m.user).filter(Boolean)
+  };
+  const report = commits
+    ? buildComplianceReport({ commits, ...rules })
+    : await checkBundleCompliance(submission.repositoryArchive.path, rules);
+
+  submission.compliance = {
+    ...report,
+    review: submission.compliance && submission.compliance.review
+  };
 }
 
 module.exports = router;
\ No newline at end of file
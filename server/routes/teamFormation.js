@@ -0,0 +1,414 @@
+const express = require('express');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+const { formTeams, loadFormationPool, summarizeTeams } = require('../services/teamFormation');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'username profile.avatar profile.skills stats.eventsJoined';
+
+const isOrganizer = (event, user) => event.organizer.toString() === user._id.toString();
+
+const formationCutoff = (event) => event.teamFormation.cutoff || event.startDate;
+
+const cutoffError = (event, now = new Date()) => now >= formationCutoff(event)
+  ? 'The team formation cutoff has passed'
+  : null;
+
+const populatePreview = (event) => event.populate([
+  { path: 'teamFormation.preview.teams.members', select: MEMBER_FIELDS },
+  { path: 'teamFormation.preview.unassigned', select: MEMBER_FIELDS }
+]);
+
+// Team formation status; organizers also get the current preview
+router.get('/event/:eventId', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('organizer startDate participants teamFormation');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { status, committedAt } = event.teamFormation;
+    const participant = event.participants.find(
+      p => p.user.toString() === req.user._id.toString()
+    );
+
+    if (!isOrganizer(event, req.user)) {
+      return res.json({
+        status,
+        cutoff: formationCutoff(event),
+        committedAt,
+        preferences: participant ? participant.teamPreferences : null
+      });
+    }
+
+    await populatePreview(event);
+
+    res.json({
+      status,
+      cutoff: formationCutoff(event),
+      committedAt,
+      preview: event.teamFormation.preview,
+      teams: event.teamFormation.teams
+    });
+  } catch (error) {
+    console.error('Get team formation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the formation cutoff (organizer)
+router.put('/event/:eventId/settings', authMiddleware, async (req, res) => {
+  try {
+    const { cutoff } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (cutoff === null) {
+      event.teamFormation.cutoff = undefined;
+    } else if (cutoff !== undefined) {
+      const date = new Date(cutoff);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ message: 'Invalid cutoff date' });
+      }
+      event.teamFormation.cutoff = date;
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Team formation settings updated successfully',
+      cutoff: formationCutoff(event)
+    });
+  } catch (error) {
+    console.error('Update team formation settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Say who you'd like to be teamed with or kept apart from
+router.put('/event/:eventId/preferences', authMiddleware, async (req, res) => {
+  try {
+    const teammates = (req.body.teammates || []).map(String);
+    const avoid = (req.body.avoid || []).map(String);
+    const event = await Event.findById(req.params.eventId)
+      .select('startDate maxTeamSize participants teamFormation');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const participantIds = event.participants.map(p => p.user.toString());
+    const me = req.user._id.toString();
+
+    if (!participantIds.includes(me)) {
+      return res.status(403).json({ message: 'You must join the event first' });
+    }
+
+    const phaseError = cutoffError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    if (teammates.length >= event.maxTeamSize) {
+      return res.status(400).json({ message: `You can name up to ${event.maxTeamSize - 1} teammates` });
+    }
+
+    const named = [...teammates, ...avoid];
+    if (named.includes(me)) {
+      return res.status(400).json({ message: 'You cannot list yourself' });
+    }
+    if (named.some(id => !participantIds.includes(id))) {
+      return res.status(400).json({ message: 'Everyone listed must be a participant in this event' });
+    }
+    if (teammates.some(id => avoid.includes(id))) {
+      return res.status(400).json({ message: 'Someone cannot be both a preferred teammate and avoided' });
+    }
+
+    await Event.updateOne(
+      { _id: event._id, 'participants.user': req.user._id },
+      {
+        $set: {
+          'participants.$.teamPreferences': {
+            teammates: [...new Set(teammates)],
+            avoid: [...new Set(avoid)]
+          }
+        }
+      }
+    );
+
+    res.json({
+      message: 'Team preferences saved',
+      preferences: { teammates: [...new Set(teammates)], avoid: [...new Set(avoid)] }
+    });
+  } catch (error) {
+    console.error('Update team preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Form teams from everyone still without one, without saving teams yet (organizer)
+router.post('/event/:eventId/preview', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const phaseError = cutoffError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    const pool = await loadFormationPool(event);
+    const { teams, unassigned } = formTeams(pool, event.maxTeamSize);
+
+    event.teamFormation.status = 'previewed';
+    event.teamFormation.preview = {
+      generatedAt: new Date(),
+      teams,
+      unassigned
+    };
+    await event.save();
+    await populatePreview(event);
+
+    res.json({
+      message: `${teams.length} teams proposed for ${pool.length} participants`,
+      preview: event.teamFormation.preview
+    });
+  } catch (error) {
+    console.error('Preview team formation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the preview with a hand-adjusted one (organizer). Anyone left
+// out of every team stays unassigned.
+router.put('/event/:eventId/preview', authMiddleware, async (req, res) => {
+  try {
+    const { teams } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.teamFormation.status !== 'previewed') {
+      return res.status(400).json({ message: 'Generate a preview first' });
+    }
+
+    const phaseError = cutoffError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    if (!Array.isArray(teams)) {
+      return res.status(400).json({ message: 'Teams must be a list' });
+    }
+
+    const pool = await loadFormationPool(event);
+    const free = new Set(pool.map(p => p.id));
+    const assigned = new Set();
+
+    for (const team of teams) {
+      const members = (team && team.members || []).map(String);
+
+      if (members.length === 0 || members.length > event.maxTeamSize) {
+        return res.status(400).json({ message: `Each team needs 1-${event.maxTeamSize} members` });
+      }
+      if (members.some(id => !free.has(id))) {
+        return res.status(400).json({ message: 'Teams can only include participants who are not on a team' });
+      }
+      if (members.some(id => assigned.has(id))) {
+        return res.status(400).json({ message: 'A participant can only be on one team' });
+      }
+      members.forEach(id => assigned.add(id));
+    }
+
+    const adjusted = teams.map((team, index) => ({
+      name: String(team.name || '').trim() || `Team ${index + 1}`,
+      members: team.members.map(String)
+    }));
+
+    event.teamFormation.preview = {
+      generatedAt: event.teamFormation.preview.generatedAt,
+      adjustedAt: new Date(),
+      teams: summarizeTeams(pool, adjusted),
+      unassigned: pool.map(p => p.id).filter(id => !assigned.has(id))
+    };
+    await event.save();
+    await populatePreview(event);
+
+    res.json({
+      message: 'Preview updated',
+      preview: event.teamFormation.preview
+    });
+  } catch (error) {
+    console.error('Adjust team formation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create the previewed teams (organizer). Anyone who found a team on
+// their own since the preview is left out, and a team left with a single
+// member is dropped.
+router.post('/event/:eventId/commit', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const phaseError = cutoffError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    // Claim the preview so a double click can't create every team twice
+    const claimed = await Event.updateOne(
+      { _id: event._id, 'teamFormation.status': 'previewed' },
+      {
+        $set: {
+          'teamFormation.status': 'committed',
+          'teamFormation.committedAt': new Date(),
+          'teamFormation.committedBy': req.user._id
+        }
+      }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({ message: 'There is no preview to commit' });
+    }
+
+    let created;
+    const skipped = [];
+
+    try {
+      const pool = await loadFormationPool(event);
+      const byId = new Map(pool.map(p => [p.id, p]));
+      const minimum = event.maxTeamSize > 1 ? 2 : 1;
+
+      const docs = [];
+      event.teamFormation.preview.teams.forEach(proposed => {
+        const members = proposed.members.map(String).filter(id => byId.has(id));
+        skipped.push(...proposed.members.map(String).filter(id => !byId.has(id)));
+
+        if (members.length < minimum) {
+          skipped.push(...members);
+          return;
+        }
+
+        // The most experienced member leads
+        const people = members.map(id => byId.get(id))
+          .sort((a, b) => b.experience - a.experience);
+        const now = new Date();
+
+        docs.push({
+          name: proposed.name,
+          description: 'Formed by automatic team formation',
+          event: event._id,
+          leader: people[0].id,
+          members: people.map((person, index) => ({
+            user: person.id,
+            role: index === 0 ? 'leader' : 'member',
+            skills: [...person.skills.values()],
+            joinedAt: now,
+            status: 'active'
+          })),
+          isPublic: true,
+          lookingForMembers: people.length < event.maxTeamSize,
+          requiredSkills: []
+        });
+      });
+
+      created = docs.length > 0 ? await Team.insertMany(docs) : [];
+    } catch (error) {
+      await Event.updateOne(
+        { _id: event._id },
+        { $set: { 'teamFormation.status': 'previewed' } }
+      );
+      throw error;
+    }
+
+    const teamIds = created.map(team => team._id);
+
+    await Event.updateOne(
+      { _id: event._id },
+      {
+        $push: {
+          teams: { $each: teamIds },
+          'teamFormation.teams': { $each: teamIds }
+        }
+      }
+    );
+
+    if (created.length > 0) {
+      await User.bulkWrite(created.flatMap(team => team.members.map(member => ({
+        updateOne: {
+          filter: { _id: member.user },
+          update: { $addToSet: { currentTeams: team._id } }
+        }
+      }))));
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      created.forEach(team => {
+        team.members.forEach(member => {
+          io.to(`user:${member.user}`).emit('teamFormed', {
+            eventId: event._id,
+            team: {
+              _id: team._id,
+              name: team.name,
+              leader: team.leader,
+              members: team.members.map(m => m.user)
+            },
+            timestamp: new Date()
+          });
+        });
+      });
+
+      io.to(`event:${event._id}`).emit('teamsFormed', {
+        eventId: event._id,
+        teams: teamIds,
+        timestamp: new Date()
+      });
+    }
+
+    res.status(201).json({
+      message: `${created.length} teams created`,
+      teams: created,
+      skipped
+    });
+  } catch (error) {
+    console.error('Commit team formation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
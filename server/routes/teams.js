@@ -3,6 +3,23 @@ const Team = require('../models/Team');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const { authMiddleware } = require('../middleware/auth');
+const {
+  findFreeParticipants,
+  isFreeParticipant,
+  recommendTeams,
+  recommendParticipants
+} = require('../services/matchmaking');
+const {
+  requiresApproval,
+  canApprove,
+  joinRequestExpiry,
+  expireOverdue,
+  notifyJoinRequest,
+  withdrawOtherRequests
+} = require('../services/joinRequests');
+
+const JOIN_RESPONSES = ['accepted', 'rejected'];
+const MEMBER_ROLES = ['member', 'approver'];
 
 const router = express.Router();
 
@@ -39,6 +56,84 @@ router.get('/event/:eventId', async (req, res) => {
   }
 });
 
+// Teams that need the current user's skills, for participants without a team
+router.get('/event/:eventId/recommendations', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const event = await Event.findById(req.params.eventId).select('participants maxTeamSize');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!await isFreeParticipant(event, req.user._id)) {
+      return res.status(400).json({ message: 'Recommendations are for event participants who are not on a team yet' });
+    }
+
+    const teams = await Team.find({ event: event._id, lookingForMembers: true })
+      .populate('leader', 'username profile.avatar')
+      .populate('members.user', 'username profile.avatar profile.skills');
+
+    const recommendations = recommendTeams(req.user, teams, event.maxTeamSize).slice(0, limit);
+
+    res.json({
+      skills: req.user.profile.skills || [],
+      recommendations: recommendations.map(({ team, spots, match }) => ({
+        team: {
+          _id: team._id,
+          name: team.name,
+          description: team.description,
+          leader: team.leader,
+          members: team.members.filter(m => m.status === 'active'),
+          requiredSkills: team.requiredSkills,
+          isPublic: team.isPublic,
+          requiresApproval: requiresApproval(team)
+        },
+        spots,
+        ...match
+      }))
+    });
+  } catch (error) {
+    console.error('Get team recommendations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Participants without a team who fill this team's skill gaps (leader only)
+router.get('/:id/candidates', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (team.leader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only team leader can view candidates' });
+    }
+
+    const event = await Event.findById(team.event).select('participants maxTeamSize');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const spots = event.maxTeamSize - team.members.filter(m => m.status === 'active').length;
+
+    const users = await findFreeParticipants(event, 'username profile.avatar profile.skills profile.bio stats');
+    const candidates = recommendParticipants(team, users).slice(0, limit);
+
+    res.json({
+      spots,
+      candidates: candidates.map(({ user, match }) => ({ user, ...match }))
+    });
+  } catch (error) {
+    console.error('Get team candidates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get team by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -154,7 +249,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Only team leader can update team' });
     }
 
-    const allowedUpdates = ['name', 'description', 'requiredSkills', 'lookingForMembers', 'isPublic'];
+    const allowedUpdates = ['name', 'description', 'requiredSkills', 'lookingForMembers', 'isPublic', 'instantJoin'];
     const updates = {};
 
     Object.keys(req.body).forEach(key => {
@@ -191,6 +286,15 @@ router.post('/:id/join', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Team not found' });
     }
 
+    // Private teams, and public ones that opted out of instant join,
+    // only take members through join requests
+    if (requiresApproval(team)) {
+      return res.status(403).json({
+        message: 'This team reviews new members; send a join request instead',
+        requiresApproval: true
+      });
+    }
+
     // Check if team has space
     const activeMembers = team.members.filter(m => m.status === 'active').length;
     if (activeMembers >= team.event.maxTeamSize) {
@@ -232,6 +336,8 @@ router.post('/:id/join', authMiddleware, async (req, res) => {
     req.user.currentTeams.push(team._id);
     await req.user.save();
 
+    await withdrawOtherRequests(req.app.get('io'), team.event._id, req.user._id, team._id);
+
     await team.populate('members.user', 'username profile.avatar profile.skills');
 
     res.json({
@@ -244,6 +350,279 @@ router.post('/:id/join', authMiddleware, async (req, res) => {
   }
 });
 
+// Ask to join a team
+router.post('/:id/join-requests', authMiddleware, async (req, res) => {
+  try {
+    const message = String(req.body.message || '').trim();
+    const team = await Team.findById(req.params.id).populate('event', 'maxTeamSize participants');
+
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!requiresApproval(team)) {
+      return res.status(400).json({ message: 'This team is open; join it directly' });
+    }
+
+    if (message.length > 500) {
+      return res.status(400).json({ message: 'Message must be 500 characters or fewer' });
+    }
+
+    const isParticipant = team.event.participants.some(
+      p => p.user.toString() === req.user._id.toString()
+    );
+
+    if (!isParticipant) {
+      return res.status(403).json({ message: 'You must join the event first' });
+    }
+
+    const activeMembers = team.members.filter(m => m.status === 'active').length;
+    if (activeMembers >= team.event.maxTeamSize) {
+      return res.status(400).json({ message: 'Team is full' });
+    }
+
+    const existingTeam = await Team.findOne({
+      event: team.event._id,
+      members: { $elemMatch: { user: req.user._id, status: 'active' } }
+    });
+
+    if (existingTeam) {
+      return res.status(400).json({ message: 'You already have a team in this event' });
+    }
+
+    expireOverdue(team);
+
+    const pending = team.joinRequests.find(
+      r => r.user.toString() === req.user._id.toString() && r.status === 'pending'
+    );
+
+    if (pending) {
+      return res.status(400).json({ message: 'You already asked to join this team' });
+    }
+
+    const now = new Date();
+    team.joinRequests.push({
+      user: req.user._id,
+      message,
+      status: 'pending',
+      createdAt: now,
+      expiresAt: joinRequestExpiry(now)
+    });
+    await team.save();
+
+    const request = team.joinRequests[team.joinRequests.length - 1];
+    notifyJoinRequest(req.app.get('io'), 'joinRequestReceived', team, request, { applicant: false });
+
+    res.status(201).json({
+      message: 'Join request sent',
+      request
+    });
+  } catch (error) {
+    console.error('Create join request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join requests for a team (leader and approvers)
+router.get('/:id/join-requests', authMiddleware, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const team = await Team.findById(req.params.id)
+      .populate('joinRequests.user', 'username profile.avatar profile.skills')
+      .populate('joinRequests.respondedBy', 'username');
+
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!canApprove(team, req.user)) {
+      return res.status(403).json({ message: 'Only the team leader and approvers can view join requests' });
+    }
+
+    if (expireOverdue(team).length > 0) {
+      await team.save();
+    }
+
+    const requests = status === 'all'
+      ? team.joinRequests
+      : team.joinRequests.filter(r => r.status === status);
+
+    res.json({
+      requests: [...requests].sort((a, b) => b.createdAt - a.createdAt)
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept or reject a join request (leader and approvers)
+router.post('/:id/join-requests/:requestId/respond', authMiddleware, async (req, res) => {
+  try {
+    const { response } = req.body; // 'accepted' or 'rejected'
+    const team = await Team.findById(req.params.id).populate('event', 'maxTeamSize');
+
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!canApprove(team, req.user)) {
+      return res.status(403).json({ message: 'Only the team leader and approvers can respond to join requests' });
+    }
+
+    if (!JOIN_RESPONSES.includes(response)) {
+      return res.status(400).json({ message: 'Response must be accepted or rejected' });
+    }
+
+    const request = team.joinRequests.id(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    if (expireOverdue(team).includes(request)) {
+      await team.save();
+      notifyJoinRequest(req.app.get('io'), 'joinRequestUpdated', team, request);
+      return res.status(400).json({ message: 'Join request has expired' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Join request already responded to' });
+    }
+
+    let applicant = null;
+
+    if (response === 'accepted') {
+      const activeMembers = team.members.filter(m => m.status === 'active').length;
+      if (activeMembers >= team.event.maxTeamSize) {
+        return res.status(400).json({ message: 'Team is full' });
+      }
+
+      const existingTeam = await Team.findOne({
+        event: team.event._id,
+        members: { $elemMatch: { user: request.user, status: 'active' } }
+      });
+
+      if (existingTeam) {
+        return res.status(400).json({ message: 'This participant already has a team in this event' });
+      }
+
+      applicant = await User.findById(request.user);
+      if (!applicant) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      team.members.push({
+        user: applicant._id,
+        role: 'member',
+        skills: applicant.profile.skills || [],
+        joinedAt: new Date(),
+        status: 'active'
+      });
+    }
+
+    request.status = response;
+    request.respondedBy = req.user._id;
+    request.respondedAt = new Date();
+    await team.save();
+
+    const io = req.app.get('io');
+
+    if (applicant) {
+      applicant.currentTeams.push(team._id);
+      await applicant.save();
+      await withdrawOtherRequests(io, team.event._id, applicant._id, team._id);
+    }
+
+    notifyJoinRequest(io, 'joinRequestUpdated', team, request);
+
+    res.json({
+      message: `Join request ${response}`,
+      request
+    });
+  } catch (error) {
+    console.error('Respond to join request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw your own join request
+router.delete('/:id/join-requests/:requestId', authMiddleware, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    const request = team.joinRequests.id(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    if (request.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending requests can be withdrawn' });
+    }
+
+    request.status = 'withdrawn';
+    request.respondedAt = new Date();
+    await team.save();
+
+    notifyJoinRequest(req.app.get('io'), 'joinRequestUpdated', team, request, { applicant: false });
+
+    res.json({ message: 'Join request withdrawn' });
+  } catch (error) {
+    console.error('Withdraw join request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Let a member approve join requests, or take that away (leader only)
+router.put('/:id/members/:userId/role', authMiddleware, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (team.leader.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only team leader can change member roles' });
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${MEMBER_ROLES.join(', ')}` });
+    }
+
+    const member = team.members.find(
+      m => m.user.toString() === req.params.userId && m.status === 'active'
+    );
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.user.toString() === team.leader.toString()) {
+      return res.status(400).json({ message: 'The team leader role cannot be changed' });
+    }
+
+    member.role = role;
+    await team.save();
+
+    res.json({
+      message: 'Member role updated',
+      member
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Leave team
 router.post('/:id/leave', authMiddleware, async (req, res) => {
   try {
@@ -416,6 +795,10 @@ router.post('/:id/invitation/:invitationId/respond', authMiddleware, async (req,
 
     await team.save();
 
+    if (response === 'accepted') {
+      await withdrawOtherRequests(req.app.get('io'), team.event._id, req.user._id, team._id);
+    }
+
     res.json({
       message: `Invitation ${response}`,
       team
@@ -465,6 +848,45 @@ router.get('/invitations/me', authMiddleware, async (req, res) => {
   }
 });
 
+// Get the current user's join requests
+router.get('/join-requests/me', authMiddleware, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'joinRequests.user': req.user._id })
+      .populate('leader', 'username profile.avatar')
+      .populate('event', 'title startDate endDate');
+
+    const now = new Date();
+    const requests = [];
+    teams.forEach(team => {
+      team.joinRequests.forEach(request => {
+        if (request.user.toString() !== req.user._id.toString()) return;
+
+        // Overdue requests read as expired even before the sweep gets to them
+        const expired = request.status === 'pending' && request.expiresAt && request.expiresAt <= now;
+        requests.push({
+          _id: request._id,
+          team: {
+            _id: team._id,
+            name: team.name,
+            leader: team.leader,
+            event: team.event
+          },
+          message: request.message,
+          status: expired ? 'expired' : request.status,
+          createdAt: request.createdAt,
+          expiresAt: request.expiresAt,
+          respondedAt: request.respondedAt
+        });
+      });
+    });
+
+    res.json({ requests: requests.sort((a, b) => b.createdAt - a.createdAt) });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Add task to team project
 router.post('/:id/tasks', authMiddleware, async (req, res) => {
   try {
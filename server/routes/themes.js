@@ -0,0 +1,394 @@
+const express = require('express');
+const Event = require('../models/Event');
+const ThemeVote = require('../models/ThemeVote');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const {
+  normalizeTheme,
+  currentRound,
+  remainingSuggestions,
+  advanceThemeVoting,
+  winningTheme,
+  publicThemeVoting
+} = require('../services/themes');
+
+const router = express.Router();
+
+const MAX_THEME_LENGTH = 60;
+
+const isOrganizer = (event, user) => event.organizer.toString() === user._id.toString();
+
+const isParticipant = (event, user) => event.participants.some(
+  p => p.user.toString() === user._id.toString()
+);
+
+// Theme suggestions and votes only make sense before the jam starts
+const themePhaseError = (event) => {
+  if (!event.themeVoting.enabled) return 'Theme voting is not enabled for this event';
+  if (event.status !== 'upcoming' || event.themeVoting.announcedAt) {
+    return 'The theme has already been announced';
+  }
+  return null;
+};
+
+// Get the theme vote as participants see it
+router.get('/event/:eventId', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('organizer theme themeVoting');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const themeVoting = event.themeVoting.announcedAt
+      ? { ...publicThemeVoting(event.themeVoting), theme: event.theme, announcedAt: event.themeVoting.announcedAt }
+      : publicThemeVoting(event.themeVoting);
+
+    // Let voters see what they've already said this round
+    const round = currentRound(event.themeVoting);
+    let myVotes = [];
+    if (req.user && round) {
+      myVotes = await ThemeVote.find({
+        event: event._id,
+        round: round.number,
+        user: req.user._id
+      }).select('suggestion value');
+    }
+
+    res.json({ themeVoting, myVotes });
+  } catch (error) {
+    console.error('Get theme voting error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn theme voting on or off (organizer)
+router.put('/event/:eventId/settings', authMiddleware, async (req, res) => {
+  try {
+    const { enabled, suggestionsPerUser } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.status !== 'upcoming' || event.themeVoting.announcedAt) {
+      return res.status(400).json({ message: 'Theme voting can only change before the event starts' });
+    }
+
+    if (enabled !== undefined) {
+      event.themeVoting.enabled = !!enabled;
+    }
+
+    if (suggestionsPerUser !== undefined) {
+      if (!Number.isInteger(suggestionsPerUser) || suggestionsPerUser < 1) {
+        return res.status(400).json({ message: 'Suggestions per user must be a positive integer' });
+      }
+      event.themeVoting.suggestionsPerUser = suggestionsPerUser;
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Theme voting updated successfully',
+      themeVoting: publicThemeVoting(event.themeVoting)
+    });
+  } catch (error) {
+    console.error('Update theme voting error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suggest a theme
+router.post('/event/:eventId/suggestions', authMiddleware, async (req, res) => {
+  try {
+    const text = String(req.body.text || '').trim();
+    const event = await Event.findById(req.params.eventId)
+      .select('status participants themeVoting');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const phaseError = themePhaseError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    if (event.themeVoting.phase !== 'suggestions') {
+      return res.status(400).json({ message: 'Theme suggestions are closed' });
+    }
+
+    if (!isParticipant(event, req.user)) {
+      return res.status(403).json({ message: 'Only registered participants can suggest themes' });
+    }
+
+    const normalized = normalizeTheme(text);
+    if (!normalized || text.length > MAX_THEME_LENGTH) {
+      return res.status(400).json({ message: `Themes must be 1-${MAX_THEME_LENGTH} characters` });
+    }
+
+    const suggested = event.themeVoting.suggestions.filter(
+      s => s.suggestedBy.some(u => u.toString() === req.user._id.toString())
+    );
+    const duplicate = event.themeVoting.suggestions.find(s => s.normalized === normalized);
+
+    if (duplicate && suggested.includes(duplicate)) {
+      return res.status(400).json({ message: 'You have already suggested this theme' });
+    }
+
+    if (suggested.length >= event.themeVoting.suggestionsPerUser) {
+      return res.status(400).json({
+        message: `You can suggest up to ${event.themeVoting.suggestionsPerUser} themes`
+      });
+    }
+
+    // Duplicates count towards the existing suggestion. Both updates are
+    // conditional so two people suggesting the same theme at once still
+    // end up with a single entry.
+    let merged = await Event.updateOne(
+      { _id: event._id, 'themeVoting.suggestions.normalized': normalized },
+      { $addToSet: { 'themeVoting.suggestions.$.suggestedBy': req.user._id } }
+    );
+
+    if (merged.matchedCount === 0) {
+      const added = await Event.updateOne(
+        { _id: event._id, 'themeVoting.suggestions.normalized': { $ne: normalized } },
+        { $push: { 'themeVoting.suggestions': { text, normalized, suggestedBy: [req.user._id] } } }
+      );
+
+      if (added.matchedCount === 0) {
+        merged = await Event.updateOne(
+          { _id: event._id, 'themeVoting.suggestions.normalized': normalized },
+          { $addToSet: { 'themeVoting.suggestions.$.suggestedBy': req.user._id } }
+        );
+      }
+    }
+
+    res.status(201).json({
+      message: merged.matchedCount > 0 ? 'Theme merged with an existing suggestion' : 'Theme suggested successfully',
+      merged: merged.matchedCount > 0,
+      remaining: event.themeVoting.suggestionsPerUser - suggested.length - 1
+    });
+  } catch (error) {
+    console.error('Suggest theme error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge a duplicate the normalization missed into another suggestion (organizer)
+router.post('/event/:eventId/suggestions/:suggestionId/merge', authMiddleware, async (req, res) => {
+  try {
+    const { into } = req.body;
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.themeVoting.phase !== 'suggestions') {
+      return res.status(400).json({ message: 'Suggestions can only be merged before voting starts' });
+    }
+
+    const source = event.themeVoting.suggestions.id(req.params.suggestionId);
+    const target = into && event.themeVoting.suggestions.id(into);
+
+    if (!source || !target || source._id.equals(target._id)) {
+      return res.status(400).json({ message: 'Choose two different suggestions to merge' });
+    }
+
+    target.suggestedBy = [...new Set(
+      [...target.suggestedBy, ...source.suggestedBy].map(u => u.toString())
+    )];
+    event.themeVoting.suggestions = event.themeVoting.suggestions.filter(
+      s => !s._id.equals(source._id)
+    );
+
+    await event.save();
+
+    res.json({
+      message: 'Suggestions merged successfully',
+      suggestion: { _id: target._id, text: target.text, count: target.suggestedBy.length }
+    });
+  } catch (error) {
+    console.error('Merge theme suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove an inappropriate suggestion (organizer)
+router.delete('/event/:eventId/suggestions/:suggestionId', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (event.themeVoting.phase !== 'suggestions') {
+      return res.status(400).json({ message: 'Suggestions can only be removed before voting starts' });
+    }
+
+    if (!event.themeVoting.suggestions.id(req.params.suggestionId)) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    event.themeVoting.suggestions.pull(req.params.suggestionId);
+    await event.save();
+
+    res.json({ message: 'Suggestion removed successfully' });
+  } catch (error) {
+    console.error('Remove theme suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close suggestions or the current round and move to the next (organizer)
+router.post('/event/:eventId/rounds', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const phaseError = themePhaseError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    try {
+      await advanceThemeVoting(event);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    await event.save();
+
+    const round = currentRound(event.themeVoting);
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`event:${event._id}`).emit('themeVotingUpdated', {
+        eventId: event._id,
+        phase: event.themeVoting.phase,
+        round: round ? round.number : null,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      message: event.themeVoting.phase === 'decided'
+        ? 'Theme decided; it will be announced when the event starts'
+        : `Round ${round.number} is open`,
+      themeVoting: publicThemeVoting(event.themeVoting)
+    });
+  } catch (error) {
+    console.error('Advance theme voting error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vote on themes in the current round: 1 (keep), 0 (no opinion) or -1 (drop)
+router.post('/event/:eventId/votes', authMiddleware, async (req, res) => {
+  try {
+    const votes = Array.isArray(req.body.votes) ? req.body.votes : [req.body];
+    const event = await Event.findById(req.params.eventId)
+      .select('status participants themeVoting');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const phaseError = themePhaseError(event);
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    const round = currentRound(event.themeVoting);
+    if (event.themeVoting.phase !== 'voting' || !round) {
+      return res.status(400).json({ message: 'No theme voting round is open' });
+    }
+
+    if (!isParticipant(event, req.user)) {
+      return res.status(403).json({ message: 'Only registered participants can vote on themes' });
+    }
+
+    const candidates = round.candidates.map(c => c.toString());
+    const invalid = votes.find(v =>
+      !v || !candidates.includes(String(v.suggestion)) || ![-1, 0, 1].includes(v.value)
+    );
+
+    if (invalid) {
+      return res.status(400).json({
+        message: 'Each vote needs a theme from the current round and a value of -1, 0 or 1'
+      });
+    }
+
+    await ThemeVote.bulkWrite(votes.map(v => ({
+      updateOne: {
+        filter: { event: event._id, round: round.number, suggestion: v.suggestion, user: req.user._id },
+        update: { $set: { value: v.value } },
+        upsert: true
+      }
+    })));
+
+    res.json({
+      message: 'Theme votes recorded',
+      round: round.number,
+      voted: votes.length
+    });
+  } catch (error) {
+    console.error('Theme vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Full results, including the undisclosed winner (organizer)
+router.get('/event/:eventId/results', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId)
+      .select('organizer themeVoting')
+      .populate('themeVoting.suggestions.suggestedBy', 'username');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const round = currentRound(event.themeVoting);
+    const votesCast = round
+      ? await ThemeVote.countDocuments({ event: event._id, round: round.number })
+      : 0;
+
+    res.json({
+      themeVoting: event.themeVoting.toObject(),
+      remaining: remainingSuggestions(event.themeVoting).length,
+      votesCast,
+      winner: winningTheme(event.themeVoting)
+    });
+  } catch (error) {
+    console.error('Get theme results error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
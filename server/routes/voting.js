@@ -0,0 +1,377 @@
+const express = require('express');
+const Event = require('../models/Event');
+const Submission = require('../models/Submission');
+const Ballot = require('../models/Ballot');
+const VoteAudit = require('../models/VoteAudit');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { validateBallot, tallyVotes } = require('../services/tally');
+const { hidesLiveResults, scheduleLeaderboardUpdate } = require('../services/leaderboard');
+const {
+  findUserTeams,
+  checkVoterEligibility,
+  recordVoteAudit,
+  detectAnomalies
+} = require('../services/voteIntegrity');
+
+const router = express.Router();
+
+const isOrganizer = (event, user) => event.organizer.toString() === user._id.toString();
+
+const ballotContents = (ballot) => ballot && {
+  approvals: ballot.approvals,
+  ranking: ballot.ranking,
+  allocations: ballot.allocations,
+  creditsSpent: ballot.creditsSpent
+};
+
+const isVotingOpen = (event) => event.status === 'judging' || event.status === 'completed';
+
+// Entries that can be voted on
+const findVotableSubmissions = (eventId) => Submission.find({
+  event: eventId,
+  status: { $nin: ['draft', 'rejected'] }
+});
+
+// Get the current user's ballot
+router.get('/event/:eventId/ballot', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('voting');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const ballot = await Ballot.findOne({ event: event._id, user: req.user._id });
+
+    res.json({
+      method: event.voting.method,
+      credits: event.voting.method === 'quadratic' ? event.voting.quadraticCredits : undefined,
+      ballot
+    });
+  } catch (error) {
+    console.error('Get ballot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cast or replace a ballot
+router.put('/event/:eventId/ballot', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('status voting participants');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isVotingOpen(event)) {
+      return res.status(400).json({ message: 'Voting is not open for this event' });
+    }
+
+    const { method, quadraticCredits } = event.voting;
+    if (method === 'star') {
+      return res.status(400).json({ message: 'This event uses star ratings; vote on each submission instead' });
+    }
+
+    const userTeams = await findUserTeams(event._id, req.user._id);
+    const ineligible = checkVoterEligibility(event, req.user, userTeams);
+    if (ineligible) {
+      return res.status(403).json({ message: ineligible });
+    }
+
+    const existing = await Ballot.findOne({ event: event._id, user: req.user._id });
+    if (existing && existing.voided) {
+      return res.status(403).json({ message: 'Your ballot for this event was voided' });
+    }
+
+    // Own-team entries can't be voted for, so they aren't on the ballot
+    const ownTeams = userTeams.map(team => team._id);
+    const submissions = await findVotableSubmissions(event._id)
+      .where('team').nin(ownTeams)
+      .select('_id');
+    const { ballot, error } = validateBallot(
+      method,
+      req.body,
+      submissions.map(s => s._id),
+      { credits: quadraticCredits }
+    );
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const saved = await Ballot.findOneAndUpdate(
+      { event: event._id, user: req.user._id },
+      {
+        $set: {
+          method,
+          approvals: ballot.approvals || [],
+          ranking: ballot.ranking || [],
+          allocations: ballot.allocations || [],
+          creditsSpent: ballot.creditsSpent || 0,
+          submittedAt: new Date()
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await recordVoteAudit({
+      event: event._id,
+      user: req.user._id,
+      kind: 'ballot',
+      action: existing ? 'changed' : 'cast',
+      before: ballotContents(existing),
+      after: ballotContents(saved)
+    }, req);
+
+    scheduleLeaderboardUpdate(req.app.get('io'), event._id);
+
+    res.json({
+      message: 'Ballot cast successfully',
+      ballot: saved,
+      creditsRemaining: method === 'quadratic' ? quadraticCredits - saved.creditsSpent : undefined
+    });
+  } catch (error) {
+    console.error('Cast ballot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw a ballot
+router.delete('/event/:eventId/ballot', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('status');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.status === 'completed') {
+      return res.status(400).json({ message: 'Ballots cannot be withdrawn after the event has completed' });
+    }
+
+    const ballot = await Ballot.findOne({ event: event._id, user: req.user._id });
+
+    if (!ballot) {
+      return res.status(404).json({ message: 'No ballot to withdraw' });
+    }
+
+    // A voided ballot stays so it can't be withdrawn and cast again
+    if (ballot.voided) {
+      return res.status(403).json({ message: 'Your ballot for this event was voided' });
+    }
+
+    await ballot.deleteOne();
+
+    await recordVoteAudit({
+      event: event._id,
+      user: req.user._id,
+      kind: 'ballot',
+      action: 'withdrawn',
+      before: ballotContents(ballot)
+    }, req);
+
+    scheduleLeaderboardUpdate(req.app.get('io'), event._id);
+
+    res.json({ message: 'Ballot withdrawn successfully' });
+  } catch (error) {
+    console.error('Withdraw ballot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public voting results, with the round-by-round count for ranked-choice
+router.get('/event/:eventId/results', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer voting leaderboardFreeze');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // The count stays hidden with the rest of the frozen leaderboard
+    if (hidesLiveResults(event, req.user)) {
+      return res.json({ method: event.voting.method, results: [], frozen: true });
+    }
+
+    const method = event.voting.method;
+    const [submissions, ballots] = await Promise.all([
+      findVotableSubmissions(event._id).select('team project.name voting.publicVotes voting.votes.user voting.votes.voided'),
+      method === 'star' ? [] : Ballot.find({ event: event._id, method, voided: { $ne: true } })
+    ]);
+
+    const tally = tallyVotes(method, { ballots, submissions });
+
+    // Label rows with the entry they belong to
+    const byId = new Map(submissions.map(s => [s._id.toString(), s]));
+    const label = (row) => {
+      const submission = byId.get(row.submission.toString());
+      return {
+        ...row,
+        team: submission && submission.team,
+        title: submission && submission.project.name
+      };
+    };
+
+    res.json({
+      ...tally,
+      results: tally.results.map(label)
+    });
+  } catch (error) {
+    console.error('Get voting results error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Votes that look like ballot stuffing (organizer)
+router.get('/event/:eventId/anomalies', authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer voting');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const audits = await VoteAudit.find({ event: event._id, action: 'cast' });
+
+    const options = { newAccountDays: event.voting.minAccountAgeDays || 7 };
+    if (req.query.windowMinutes) options.windowMinutes = Number(req.query.windowMinutes);
+    if (req.query.threshold) options.threshold = Number(req.query.threshold);
+
+    res.json({ anomalies: detectAnomalies(audits, options) });
+  } catch (error) {
+    console.error('Detect vote anomalies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vote audit log (organizer)
+router.get('/event/:eventId/audit', authMiddleware, async (req, res) => {
+  try {
+    const { user, submission, limit = 200 } = req.query;
+    const event = await Event.findById(req.params.eventId).select('organizer');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const query = { event: event._id };
+    if (user) query.user = user;
+    if (submission) query.submission = submission;
+
+    const entries = await VoteAudit.find(query)
+      .populate('user actor', 'username')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 200, 1000));
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Get vote audit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Void votes from the given users, on one submission or across the whole
+// event including their ballots, and recompute public scores (organizer)
+router.post('/event/:eventId/void', authMiddleware, async (req, res) => {
+  try {
+    const { users, submission, reason } = req.body;
+    const event = await Event.findById(req.params.eventId).select('organizer');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!isOrganizer(event, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!Array.isArray(users) || users.length === 0) {
+      return res.status(400).json({ message: 'Choose the users whose votes should be voided' });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const voidedAt = new Date();
+    const voidedBy = req.user._id;
+    const userIds = users.map(String);
+    const audits = [];
+
+    const query = { event: event._id, 'voting.votes.user': { $in: userIds } };
+    if (submission) query._id = submission;
+
+    const submissions = await Submission.find(query);
+    const recomputed = [];
+
+    for (const entry of submissions) {
+      entry.voting.votes
+        .filter(vote => !vote.voided && userIds.includes(vote.user.toString()))
+        .forEach(vote => {
+          Object.assign(vote, { voided: true, voidedAt, voidedBy, voidReason: reason });
+          audits.push({
+            event: event._id,
+            submission: entry._id,
+            user: vote.user,
+            kind: 'star',
+            action: 'voided',
+            before: { score: vote.score, ratings: vote.ratings.toObject() },
+            reason,
+            actor: voidedBy
+          });
+        });
+
+      // Saving recomputes publicVotes from the votes that remain
+      await entry.save();
+      recomputed.push({ submission: entry._id, publicVotes: entry.voting.publicVotes });
+    }
+
+    let ballotsVoided = 0;
+    if (!submission) {
+      const ballots = await Ballot.find({
+        event: event._id,
+        user: { $in: userIds },
+        voided: { $ne: true }
+      });
+
+      for (const ballot of ballots) {
+        Object.assign(ballot, { voided: true, voidedAt, voidedBy, voidReason: reason });
+        await ballot.save();
+        audits.push({
+          event: event._id,
+          user: ballot.user,
+          kind: 'ballot',
+          action: 'voided',
+          before: ballotContents(ballot),
+          reason,
+          actor: voidedBy
+        });
+      }
+      ballotsVoided = ballots.length;
+    }
+
+    await VoteAudit.insertMany(audits);
+
+    scheduleLeaderboardUpdate(req.app.get('io'), event._id);
+
+    res.json({
+      message: 'Votes voided successfully',
+      votesVoided: audits.length - ballotsVoided,
+      ballotsVoided,
+      submissions: recomputed
+    });
+  } catch (error) {
+    console.error('Void votes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -10,7 +10,14 @@ const eventRoutes = require('./routes/events');
 const teamRoutes = require('./routes/teams');
 const submissionRoutes = require('./routes/submissions');
 const leaderboardRoutes = require('./routes/leaderboard'); // Add this line
+const judgingRoutes = require('./routes/judging');
+const playRoutes = require('./routes/play');
+const themeRoutes = require('./routes/themes');
+const votingRoutes = require('./routes/voting');
+const teamFormationRoutes = require('./routes/teamFormation');
 const socketHandlers = require('./socket/socketHandlers');
+const { startEventScheduler } = require('./services/eventScheduler');
+const { startJoinRequestExpiry } = require('./services/joinRequests');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,6 +28,9 @@ const io = socketIo(server, {
   }
 });
 
+// Make socket.io available to routes
+app.set('io', io);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -36,6 +46,8 @@ const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 db.once('open', () => {
   console.log('Connected to MongoDB');
+  startEventScheduler(io);
+  startJoinRequestExpiry(io);
 });
 
 // Socket.IO Connection
@@ -43,17 +55,6 @@ io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
   socketHandlers(io, socket);
 
-  // Leaderboard (fetch from DB)
-  socket.on('getLeaderboard', async () => {
-    try {
-      const Submission = require('./models/Submission');
-      const leaderboard = await Submission.find().sort({ score: -1 }).limit(10);
-      socket.emit('leaderboardUpdate', leaderboard);
-    } catch (err) {
-      socket.emit('leaderboardUpdate', []);
-    }
-  });
-
   // Chat
   socket.on('chatMessage', (msg) => {
     io.emit('chatMessage', msg);
@@ -66,6 +67,11 @@ app.use('/api/events', eventRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/leaderboard', leaderboardRoutes); // Add this line
+app.use('/api/judging', judgingRoutes);
+app.use('/api/themes', themeRoutes);
+app.use('/api/voting', votingRoutes);
+app.use('/api/team-formation', teamFormationRoutes);
+app.use('/play', playRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+const MAX_RATIO = Number(process.env.ARCHIVE_MAX_RATIO) || 100;
+const MAX_UNCOMPRESSED = (Number(process.env.ARCHIVE_MAX_UNCOMPRESSED_MB) || 2048) * 1024 * 1024;
+const MAX_ENTRIES = 20000;
+
+const archiveError = (message) => {
+  const error = new Error(message);
+  error.isArchiveError = true;
+  return error;
+};
+
+// Entry names that would escape the extraction directory
+const isUnsafePath = (name) => {
+  const normalized = name.replace(/\\/g, '/');
+  return normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized.split('/').includes('..') ||
+    normalized.includes('\u0000');
+};
+
+// List a zip's contents from its central directory without extracting
+// anything, and refuse archives that are unsafe to unpack later. The sizes
+// here come from entry headers, which the uploader controls, so this only
+// turns away the obvious cases; inflateEntry enforces the real limits.
+const inspectZip = (filePath) => {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (error) {
+    throw archiveError('File is not a valid zip archive');
+  }
+
+  const zipEntries = zip.getEntries();
+  if (zipEntries.length > MAX_ENTRIES) {
+    throw archiveError(`Archive has more than ${MAX_ENTRIES} entries`);
+  }
+
+  let uncompressedSize = 0;
+  let compressedSize = 0;
+
+  const entries = zipEntries.map(entry => {
+    if (isUnsafePath(entry.entryName)) {
+      throw archiveError(`Archive entry "${entry.entryName}" has an unsafe path`);
+    }
+
+    const size = entry.header.size;
+    const compressed = entry.header.compressedSize;
+
+    if (compressed > 0 && size / compressed > MAX_RATIO) {
+      throw archiveError(`Archive entry "${entry.entryName}" has a suspicious compression ratio`);
+    }
+
+    uncompressedSize += size;
+    compressedSize += compressed;
+
+    return {
+      path: entry.entryName.replace(/\\/g, '/'),
+      size,
+      compressedSize: compressed,
+      isDirectory: entry.isDirectory
+    };
+  });
+
+  if (uncompressedSize > MAX_UNCOMPRESSED) {
+    throw archiveError('Archive expands beyond the allowed size');
+  }
+
+  const fileSize = fs.statSync(filePath).size;
+  if (fileSize > 0 && uncompressedSize / fileSize > MAX_RATIO) {
+    throw archiveError('Archive has a suspicious compression ratio');
+  }
+
+  return { zip, entries, uncompressedSize, compressedSize };
+};
+
+// Most an archive of this size may expand to, across all its entries
+const expansionLimit = (filePath) =>
+  Math.min(MAX_UNCOMPRESSED, fs.statSync(filePath).size * MAX_RATIO);
+
+const tooLarge = () => archiveError('Archive expands beyond the allowed size');
+
+// Inflate one entry, giving up as soon as it produces more than `limit`
+// bytes whatever its header claims. Resolves with the data, or with just
+// its size when `keep` is false.
+const inflateEntry = (entry, limit, { keep = true } = {}) => new Promise((resolve, reject) => {
+  if (entry.header.encrypted) {
+    reject(archiveError(`Archive entry "${entry.entryName}" is encrypted`));
+    return;
+  }
+
+  const compressed = entry.getCompressedData();
+
+  if (entry.header.method === 0) {
+    if (compressed.length > limit) reject(tooLarge());
+    else resolve(keep ? compressed : compressed.length);
+    return;
+  }
+
+  if (entry.header.method !== 8) {
+    reject(archiveError(`Archive entry "${entry.entryName}" uses an unsupported compression method`));
+    return;
+  }
+
+  const inflater = zlib.createInflateRaw();
+  const chunks = [];
+  let size = 0;
+
+  inflater.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      inflater.destroy();
+      reject(tooLarge());
+      return;
+    }
+    if (keep) chunks.push(chunk);
+  });
+  inflater.on('error', () => reject(archiveError(`Archive entry "${entry.entryName}" is corrupt`)));
+  inflater.on('end', () => resolve(keep ? Buffer.concat(chunks) : size));
+  inflater.end(compressed);
+});
+
+// Inflate every entry once, without keeping the data, to learn what the
+// archive really expands to
+const measureZip = async (zip, filePath) => {
+  let remaining = expansionLimit(filePath);
+  const sizes = new Map();
+
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) continue;
+    const size = await inflateEntry(entry, remaining, { keep: false });
+    remaining -= size;
+    sizes.set(entry.entryName.replace(/\\/g, '/'), size);
+  }
+
+  return sizes;
+};
+
+// Unpack a zip checked by inspectZip into directory, stopping once the
+// running total passes the archive's expansion limit
+const extractZip = async (zip, filePath, directory) => {
+  let remaining = expansionLimit(filePath);
+  let size = 0;
+
+  for (const entry of zip.getEntries()) {
+    const target = path.join(directory, entry.entryName.replace(/\\/g, '/'));
+    if (isUnsafePath(entry.entryName) || !target.startsWith(path.resolve(directory) + path.sep)) {
+      throw archiveError(`Archive entry "${entry.entryName}" has an unsafe path`);
+    }
+
+    if (entry.isDirectory) {
+      await fs.promises.mkdir(target, { recursive: true });
+      continue;
+    }
+
+    const data = await inflateEntry(entry, remaining);
+    remaining -= data.length;
+    size += data.length;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, data);
+  }
+
+  return size;
+};
+
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+module.exports = {
+  inspectZip,
+  isUnsafePath,
+  expansionLimit,
+  inflateEntry,
+  measureZip,
+  extractZip,
+  sha256File
+};
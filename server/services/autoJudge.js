@@ -0,0 +1,130 @@
+const { criterionKey } = require('./scoring');
+
+const TRANSFORMS = ['linear', 'capped', 'bucketed', 'boolean'];
+
+// Used when an event hasn't defined its own rules
+const DEFAULT_RULES = [
+  { field: 'metadata.innovation', transform: 'linear', factor: 10, criterion: 'Innovation', maxScore: 100 },
+  { field: 'metadata.technologies', transform: 'linear', factor: 10, criterion: 'Technical Complexity', maxScore: 50 },
+  { field: 'metadata.linesOfCode', transform: 'linear', factor: 0.01, criterion: 'Technical Complexity', maxScore: 50 },
+  { field: 'metadata.completeness', transform: 'linear', factor: 10, criterion: 'Completeness', maxScore: 100 },
+  { field: 'metadata.documentation', transform: 'linear', factor: 10, criterion: 'Documentation', maxScore: 100 },
+  { field: 'metadata.presentation', transform: 'linear', factor: 10, criterion: 'Presentation', maxScore: 100 }
+];
+
+// Read a dotted path like "links.demo"
+const readField = (source, field) =>
+  field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Numbers stay numbers, lists count their entries, anything else is 0
+const toNumber = (value) => {
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'number' && !Number.isNaN(value)) return value;
+  return 0;
+};
+
+const isPresent = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return value != null && value !== false;
+};
+
+const applyTransform = (rule, value) => {
+  const maxScore = rule.maxScore;
+
+  switch (rule.transform) {
+    case 'linear':
+      return toNumber(value) * (rule.factor || 0) + (rule.offset || 0);
+    case 'capped':
+      return (Math.min(toNumber(value), rule.cap) / rule.cap) * maxScore;
+    case 'bucketed': {
+      const number = toNumber(value);
+      const bucket = [...rule.buckets]
+        .sort((a, b) => b.min - a.min)
+        .find(b => number >= b.min);
+      return bucket ? bucket.score : 0;
+    }
+    case 'boolean':
+      return isPresent(value) ? maxScore : 0;
+    default:
+      return 0;
+  }
+};
+
+// Returns an error message for the first invalid rule, or null
+const validateRules = (rules, criteria = []) => {
+  if (!Array.isArray(rules)) return 'Rules must be an array';
+
+  const known = criteria.map(c => criterionKey(c.name));
+
+  for (const [i, rule] of rules.entries()) {
+    const label = `Rule ${i + 1}`;
+
+    if (!rule.field || typeof rule.field !== 'string') return `${label}: field is required`;
+    if (!TRANSFORMS.includes(rule.transform)) {
+      return `${label}: transform must be one of ${TRANSFORMS.join(', ')}`;
+    }
+    if (!rule.criterion) return `${label}: criterion is required`;
+    if (known.length > 0 && !known.includes(criterionKey(rule.criterion))) {
+      return `${label}: criterion "${rule.criterion}" is not one of the event's criteria`;
+    }
+    if (!(rule.maxScore > 0)) return `${label}: maxScore must be greater than 0`;
+    if (rule.transform === 'linear' && typeof rule.factor !== 'number') {
+      return `${label}: linear rules need a numeric factor`;
+    }
+    if (rule.transform === 'capped' && !(rule.cap > 0)) {
+      return `${label}: capped rules need a cap greater than 0`;
+    }
+    if (rule.transform === 'bucketed' &&
+        (!Array.isArray(rule.buckets) || rule.buckets.length === 0 ||
+         rule.buckets.some(b => typeof b.min !== 'number' || typeof b.score !== 'number'))) {
+      return `${label}: bucketed rules need buckets with numeric min and score`;
+    }
+  }
+
+  return null;
+};
+
+// One auto-judged score row per criterion. Rules that share a criterion
+// add up, and so do their maximums. A criterion is left out when any of
+// its rules reads a field the submission doesn't have, so missing data
+// neither scores 0 nor shrinks the maximum; boolean rules are the
+// exception, since whether the field is there is what they score.
+const evaluateRules = (submission, rules = DEFAULT_RULES) => {
+  const source = typeof submission.toObject === 'function' ? submission.toObject() : submission;
+  const rows = new Map();
+  const incomplete = new Set();
+
+  rules.forEach(rule => {
+    const value = readField(source, rule.field);
+    const key = criterionKey(rule.criterion);
+
+    if (rule.transform !== 'boolean' && !isPresent(value)) {
+      incomplete.add(key);
+      return;
+    }
+
+    const raw = applyTransform(rule, value);
+    const score = Math.min(Math.max(raw, 0), rule.maxScore);
+
+    if (!rows.has(key)) {
+      rows.set(key, { criterion: rule.criterion, score: 0, maxScore: 0, timestamp: new Date() });
+    }
+    rows.get(key).score += score;
+    rows.get(key).maxScore += rule.maxScore;
+  });
+
+  return [...rows.entries()]
+    .filter(([key]) => !incomplete.has(key))
+    .map(([, row]) => ({
+      ...row,
+      score: Math.round(row.score * 100) / 100
+    }));
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  TRANSFORMS,
+  validateRules,
+  evaluateRules
+};
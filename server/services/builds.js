@@ -0,0 +1,119 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Submission = require('../models/Submission');
+const { inspectZip, extractZip } = require('./archives');
+const { getSubmissionWindow } = require('./deadlines');
+
+// Kept outside uploads/, which is served as-is from the app's own origin
+const BUILDS_DIR = path.resolve(process.env.BUILDS_DIR || 'builds');
+
+// Builds can be served from a separate origin pointing at the same server
+const PLAY_ORIGIN = (process.env.PLAY_ORIGIN || '').replace(/\/+$/, '');
+
+const buildDirectory = (submissionId, version) =>
+  path.join(BUILDS_DIR, submissionId.toString(), String(version));
+
+const playerUrl = (submissionId, build) =>
+  `${PLAY_ORIGIN}/play/${submissionId}/${build.version}/${build.entry}`;
+
+// The build's index.html, either at the root of the zip or inside a single
+// top-level folder (which is how most engines export)
+const findEntry = (entries) => {
+  const files = entries.filter(e => !e.isDirectory).map(e => e.path);
+  if (files.includes('index.html')) return 'index.html';
+
+  const nested = files.filter(f => /^[^/]+\/index\.html$/.test(f));
+  return nested.length === 1 ? nested[0] : null;
+};
+
+// Validate and unpack a zipped web build into its versioned directory
+const extractBuild = async (zipPath, submissionId, version) => {
+  const { zip, entries } = inspectZip(zipPath);
+
+  const entry = findEntry(entries);
+  if (!entry) {
+    const error = new Error('Web build must contain an index.html');
+    error.isArchiveError = true;
+    throw error;
+  }
+
+  const directory = buildDirectory(submissionId, version);
+  await fs.mkdir(directory, { recursive: true });
+
+  let size;
+  try {
+    size = await extractZip(zip, zipPath, directory);
+  } catch (error) {
+    await fs.rm(directory, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    version,
+    path: directory,
+    entry,
+    fileCount: entries.filter(e => !e.isDirectory).length,
+    size
+  };
+};
+
+// Once a build is pinned for judging, that's the one everyone plays
+const getPlayableBuild = (submission) => {
+  const builds = submission.builds || [];
+  if (submission.judgedBuild) {
+    return builds.find(b => b.version === submission.judgedBuild) || null;
+  }
+  return builds.reduce((latest, b) => (!latest || b.version > latest.version ? b : latest), null);
+};
+
+// The build that was live when the team's deadline passed, or null while
+// the deadline is still ahead. Nothing is saved.
+const findJudgedBuild = (submission, event, now = new Date()) => {
+  if (!submission.builds || submission.builds.length === 0) return null;
+
+  const { deadline } = getSubmissionWindow(event, submission.team, now);
+  if (deadline > now) return null;
+
+  return submission.builds
+    .filter(b => b.uploadedAt <= deadline)
+    .sort((a, b) => b.version - a.version)[0] || null;
+};
+
+// Pin the build that was live when the team's deadline passed
+const pinJudgedBuild = async (submission, event, now = new Date()) => {
+  if (submission.judgedBuild) return submission.judgedBuild;
+
+  const build = findJudgedBuild(submission, event, now);
+  if (!build) return null;
+
+  await Submission.updateOne(
+    { _id: submission._id },
+    { $set: { judgedBuild: build.version } }
+  );
+  submission.judgedBuild = build.version;
+
+  return build.version;
+};
+
+const pinJudgedBuilds = async (event) => {
+  const submissions = await Submission.find({
+    event: event._id,
+    'builds.0': { $exists: true },
+    judgedBuild: { $exists: false }
+  }).select('team builds judgedBuild');
+
+  for (const submission of submissions) {
+    await pinJudgedBuild(submission, event);
+  }
+};
+
+module.exports = {
+  BUILDS_DIR,
+  buildDirectory,
+  playerUrl,
+  extractBuild,
+  findJudgedBuild,
+  getPlayableBuild,
+  pinJudgedBuild,
+  pinJudgedBuilds
+};
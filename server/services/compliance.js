@@ -0,0 +1,113 @@
+const { withBundleClone, readCommits } = require('./repoAnalysis');
+
+const IMPORT_THRESHOLD = Number(process.env.COMPLIANCE_IMPORT_THRESHOLD) || 2000;
+const MAX_LISTED = 100;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// "https://github.com/octocat/" -> "octocat"
+const githubHandle = (value) => normalize(value).replace(/\/+$/, '').split('/').pop();
+
+// GitHub noreply addresses look like 12345+octocat@users.noreply.github.com
+const noreplyHandle = (email) => {
+  const match = normalize(email).match(/^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/);
+  return match ? match[1] : null;
+};
+
+// Everything a team member might plausibly commit as
+const memberIdentities = (users) => {
+  const emails = new Set();
+  const names = new Set();
+
+  users.forEach(user => {
+    if (user.email) emails.add(normalize(user.email));
+    if (user.username) names.add(normalize(user.username));
+
+    const profile = user.profile || {};
+    if (profile.github) names.add(githubHandle(profile.github));
+    if (profile.firstName && profile.lastName) {
+      names.add(normalize(`${profile.firstName} ${profile.lastName}`));
+    }
+  });
+
+  return { emails, names };
+};
+
+const isMemberCommit = (commit, identities) =>
+  identities.emails.has(normalize(commit.authorEmail)) ||
+  identities.names.has(normalize(commit.authorName)) ||
+  identities.names.has(noreplyHandle(commit.authorEmail));
+
+const summarizeCommit = (commit) => ({
+  hash: commit.hash,
+  authorName: commit.authorName,
+  authorEmail: commit.authorEmail,
+  date: commit.date,
+  subject: commit.subject,
+  insertions: commit.insertions
+});
+
+// Check a commit history against the event window and team roster. The
+// deadline is the team's own: grace period and any extension included.
+const buildComplianceReport = ({ commits, startDate, deadline, members }) => {
+  const identities = memberIdentities(members);
+
+  const beforeStart = commits.filter(c => c.date < startDate);
+  const afterDeadline = commits.filter(c => c.date > deadline);
+
+  // The first commit is the usual place for pre-written code to show up
+  const first = commits[0];
+  const initialImport = first ? {
+    ...summarizeCommit(first),
+    flagged: first.insertions >= IMPORT_THRESHOLD
+  } : null;
+
+  const outsiders = new Map();
+  commits.forEach(commit => {
+    if (isMemberCommit(commit, identities)) return;
+
+    const key = normalize(commit.authorEmail) || normalize(commit.authorName);
+    const entry = outsiders.get(key) || {
+      name: commit.authorName,
+      email: commit.authorEmail,
+      commits: 0
+    };
+    entry.commits += 1;
+    outsiders.set(key, entry);
+  });
+  const unknownAuthors = [...outsiders.values()];
+
+  const flags = [];
+  if (beforeStart.length > 0) flags.push('commits-before-start');
+  if (afterDeadline.length > 0) flags.push('commits-after-deadline');
+  if (initialImport && initialImport.flagged) flags.push('large-initial-import');
+  if (unknownAuthors.length > 0) flags.push('unknown-authors');
+
+  return {
+    generatedAt: new Date(),
+    status: flags.length > 0 ? 'flagged' : 'clean',
+    flags,
+    summary: {
+      totalCommits: commits.length,
+      beforeStart: beforeStart.length,
+      afterDeadline: afterDeadline.length,
+      unknownAuthors: unknownAuthors.length
+    },
+    commitsBeforeStart: beforeStart.slice(0, MAX_LISTED).map(summarizeCommit),
+    commitsAfterDeadline: afterDeadline.slice(0, MAX_LISTED).map(summarizeCommit),
+    initialImport,
+    unknownAuthors
+  };
+};
+
+// Compliance report for a submission's uploaded git bundle
+const checkBundleCompliance = (bundlePath, { startDate, deadline, members }) =>
+  withBundleClone(bundlePath, async (repoDir) => {
+    const commits = await readCommits(repoDir);
+    return buildComplianceReport({ commits, startDate, deadline, members });
+  });
+
+module.exports = {
+  buildComplianceReport,
+  checkBundleCompliance
+};
@@ -0,0 +1,49 @@
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const gracePeriodMs = (event) =>
+  ((event.submissionPolicy && event.submissionPolicy.gracePeriodMinutes) || 0) * 60 * 1000;
+
+// Last moment anyone can submit without an extension
+const getSubmissionDeadline = (event) => new Date(event.endDate.getTime() + gracePeriodMs(event));
+
+const getExtension = (event, teamId) => {
+  const extensions = (event.submissionPolicy && event.submissionPolicy.extensions) || [];
+  return extensions.find(e => idOf(e.team) === idOf(teamId)) || null;
+};
+
+// Where a team stands relative to the deadline. The window closes at the
+// deadline or when judging starts, whichever is first, except for teams
+// with an extension. Submissions after endDate are late unless an
+// extension covers them.
+const getSubmissionWindow = (event, teamId, now = new Date()) => {
+  const extension = getExtension(event, teamId);
+  const deadline = getSubmissionDeadline(event);
+  const coveredByExtension = !!extension && now <= extension.until;
+  const judgingStarted = ['judging', 'completed'].includes(event.status);
+
+  const isOpen = event.status !== 'completed' &&
+    (coveredByExtension || (!judgingStarted && now <= deadline));
+
+  return {
+    endDate: event.endDate,
+    deadline: extension && extension.until > deadline ? extension.until : deadline,
+    extension: extension ? { until: extension.until, reason: extension.reason } : null,
+    isOpen,
+    isLate: now > event.endDate && !coveredByExtension,
+    // Once the window closes, submitted projects can only change in open fields
+    isLocked: !isOpen
+  };
+};
+
+// Fields an organizer has left editable after the lock. "links" opens every
+// link, "links.video" just the one.
+const isOpenField = (event, field) => {
+  const openFields = (event.submissionPolicy && event.submissionPolicy.openFields) || [];
+  return openFields.some(open => field === open || field.startsWith(`${open}.`));
+};
+
+module.exports = {
+  getSubmissionDeadline,
+  getSubmissionWindow,
+  isOpenField
+};
@@ -0,0 +1,214 @@
+const Event = require('../models/Event');
+const { getSubmissionDeadline } = require('./deadlines');
+const { pinJudgedRevisions } = require('./revisions');
+const { pinJudgedBuilds } = require('./builds');
+const { decideThemeVoting, winningTheme } = require('./themes');
+const { updateEventLeaderboard } = require('./leaderboard');
+const { applyEventRatings } = require('./globalRatings');
+
+const STATUS_ORDER = ['upcoming', 'active', 'judging', 'completed'];
+const DEFAULT_INTERVAL = 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+// Status an event should be in right now, based only on its dates
+const getScheduledStatus = (event, now = new Date()) => {
+  if (event.judging && event.judging.deadline && now >= event.judging.deadline) {
+    return 'completed';
+  }
+  // Judging waits for the grace period so late submissions can still land
+  if (now >= getSubmissionDeadline(event)) return 'judging';
+  if (now >= event.startDate) return 'active';
+  return 'upcoming';
+};
+
+// Reveal the theme vote's winner when the event starts. The vote is
+// settled wherever it stands if the organizer hasn't finished the rounds.
+const announceTheme = async (io, event) => {
+  const { themeVoting } = event;
+  if (!themeVoting || !themeVoting.enabled || themeVoting.announcedAt) return null;
+
+  if (themeVoting.phase !== 'decided') {
+    await decideThemeVoting(event);
+  }
+
+  // Nothing to announce: keep whatever theme the event already has and
+  // let the organizer know it needs one
+  const theme = winningTheme(themeVoting);
+  if (!theme) {
+    if (io) {
+      io.to(`user:${event.organizer}`).emit('themeUndecided', {
+        eventId: event._id,
+        theme: event.theme || null,
+        message: 'Theme voting closed without a winner',
+        timestamp: new Date()
+      });
+    }
+    return null;
+  }
+
+  event.theme = theme;
+  themeVoting.announcedAt = new Date();
+  await event.save();
+
+  if (io) {
+    io.to(`event:${event._id}`).emit('themeAnnounced', {
+      eventId: event._id,
+      theme,
+      timestamp: themeVoting.announcedAt
+    });
+  }
+
+  return theme;
+};
+
+// Move an event to a new status and tell everyone in the event room.
+// The update only applies if the status hasn't changed underneath us,
+// so the scheduler and an organizer can't both apply the same transition.
+const transitionEvent = async (io, event, status, source = 'scheduler') => {
+  const from = event.status;
+  const update = {
+    $set: { status },
+    $push: { 'schedule.transitions': { from, to: status, source, at: new Date() } }
+  };
+
+  // Moving an event backwards by hand would be undone on the next tick
+  if (source === 'organizer' &&
+      STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(getScheduledStatus(event))) {
+    update.$set['schedule.isPaused'] = true;
+  }
+
+  const updated = await Event.findOneAndUpdate(
+    { _id: event._id, status: from },
+    update,
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  if (status === 'active') {
+    try {
+      await announceTheme(io, updated);
+    } catch (error) {
+      console.error('Announce theme error:', error);
+    }
+  }
+
+  // Freeze the version of each submission that judges will see
+  if (status === 'judging') {
+    try {
+      await pinJudgedRevisions(updated);
+      await pinJudgedBuilds(updated);
+    } catch (error) {
+      console.error('Pin judged revisions error:', error);
+    }
+  }
+
+  // Settle the final standings and rate everyone on them
+  if (status === 'completed') {
+    let settled = false;
+    try {
+      await updateEventLeaderboard(updated._id, { io });
+      settled = true;
+    } catch (error) {
+      console.error('Update leaderboard error:', error);
+    }
+
+    // Ratings are only ever taken from the final standings
+    if (settled) {
+      try {
+        await applyEventRatings(updated._id);
+      } catch (error) {
+        console.error('Apply event ratings error:', error);
+      }
+    }
+  }
+
+  if (io) {
+    io.to(`event:${updated._id}`).emit('eventStatusChanged', {
+      eventId: updated._id,
+      status,
+      previousStatus: from,
+      source,
+      timestamp: new Date()
+    });
+  }
+
+  return updated;
+};
+
+// Pin the judged versions of teams whose extension ran out after judging
+// started; everyone else was pinned on the way into judging
+const pinExpiredExtensions = async (now = new Date()) => {
+  const events = await Event.find({
+    status: 'judging',
+    'submissionPolicy.extensions.until': { $lte: now }
+  }).select('status endDate submissionPolicy');
+
+  for (const event of events) {
+    await pinJudgedRevisions(event);
+    await pinJudgedBuilds(event);
+  }
+};
+
+// Apply every transition that is due, one step at a time. Running this
+// on startup catches up on anything missed while the server was down.
+const runScheduledTransitions = async (io, now = new Date()) => {
+  if (isRunning) return [];
+  isRunning = true;
+
+  const transitioned = [];
+
+  try {
+    const events = await Event.find({
+      'schedule.isPaused': { $ne: true },
+      status: { $ne: 'completed' },
+      startDate: { $lte: now }
+    }).select('status startDate endDate judging.deadline schedule.isPaused submissionPolicy.gracePeriodMinutes');
+
+    for (let event of events) {
+      const target = STATUS_ORDER.indexOf(getScheduledStatus(event, now));
+
+      while (event && STATUS_ORDER.indexOf(event.status) < target) {
+        const next = STATUS_ORDER[STATUS_ORDER.indexOf(event.status) + 1];
+        event = await transitionEvent(io, event, next, 'scheduler');
+        if (event) transitioned.push({ eventId: event._id, status: next });
+      }
+    }
+
+    await pinExpiredExtensions(now);
+  } catch (error) {
+    console.error('Event scheduler error:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return transitioned;
+};
+
+const startEventScheduler = (io) => {
+  if (timer) return;
+
+  const interval = Number(process.env.EVENT_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL;
+
+  runScheduledTransitions(io);
+  timer = setInterval(() => runScheduledTransitions(io), interval);
+  console.log(`Event scheduler running every ${interval / 1000}s`);
+};
+
+const stopEventScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getScheduledStatus,
+  transitionEvent,
+  announceTheme,
+  runScheduledTransitions,
+  startEventScheduler,
+  stopEventScheduler
+};
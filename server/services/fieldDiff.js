@@ -0,0 +1,38 @@
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value._bsontype);
+
+// { links: { demo: 'x' } } -> { 'links.demo': 'x' }. Arrays are compared whole.
+const flattenFields = (value, prefix = '', fields = {}) => {
+  if (!isPlainObject(value)) {
+    if (prefix) fields[prefix] = value;
+    return fields;
+  }
+
+  Object.keys(value).forEach(key => {
+    if (key === '_id') return;
+    flattenFields(value[key], prefix ? `${prefix}.${key}` : key, fields);
+  });
+
+  return fields;
+};
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Dotted paths whose values differ between two snapshots
+const diffFields = (before = {}, after = {}) => {
+  const left = flattenFields(toPlain(before));
+  const right = flattenFields(toPlain(after));
+  const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+  return fields
+    .filter(field => !sameValue(left[field], right[field]))
+    .map(field => ({ field, before: left[field], after: right[field] }));
+};
+
+module.exports = {
+  flattenFields,
+  diffFields
+};
@@ -0,0 +1,248 @@
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const GlobalRating = require('../models/GlobalRating');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RATING_CATEGORIES = ['overall', 'hackathon', 'game-jam', 'design-sprint'];
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const MIN_DEVIATION = 60;
+// Each event played shrinks the deviation by this factor...
+const DEVIATION_DECAY = 0.85;
+// ...and it grows back to the default over about two years away
+const DEVIATION_GROWTH = Math.sqrt((DEFAULT_DEVIATION ** 2 - MIN_DEVIATION ** 2) / 730);
+// Biggest change one event can make to a brand new rating
+const MAX_K = 64;
+// Fields this big or bigger count in full; smaller ones move ratings less
+const FULL_FIELD = 32;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const expectedScore = (rating, opponent) => 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+
+// Uncertainty comes back while a rating goes unused
+const currentDeviation = (rating, now) => {
+  if (!rating.lastEventAt) return rating.deviation;
+  const days = Math.max(0, (now - rating.lastEventAt) / DAY);
+  return Math.min(DEFAULT_DEVIATION, Math.sqrt(rating.deviation ** 2 + DEVIATION_GROWTH ** 2 * days));
+};
+
+const fieldWeight = (size) => Math.min(1, Math.log(size) / Math.log(FULL_FIELD));
+
+const kFactor = (deviation, size) => MAX_K * (deviation / DEFAULT_DEVIATION) * fieldWeight(size);
+
+// How each entry did against the field: every pair of entries is a
+// head-to-head, won by finishing ahead and halved on equal scores. Returns
+// the average of actual minus expected results per entry, between -1 and 1.
+const fieldPerformance = (field) => field.map(entry => {
+  const others = field.filter(other => other !== entry);
+  const total = others.reduce((sum, other) => {
+    const actual = entry.totalScore > other.totalScore ? 1
+      : entry.totalScore === other.totalScore ? 0.5 : 0;
+    return sum + actual - expectedScore(entry.rating, other.rating);
+  }, 0);
+  return total / others.length;
+});
+
+const ratingUpdate = (kind, subject, category, before, change, placement) => {
+  const rating = round(before.rating + change);
+  const deviation = round(Math.max(MIN_DEVIATION, before.deviation * DEVIATION_DECAY));
+
+  return {
+    updateOne: {
+      filter: { kind, subject, category },
+      update: {
+        $set: {
+          rating,
+          deviation,
+          conservativeRating: round(rating - 2 * deviation),
+          lastEventAt: placement.at
+        },
+        $inc: {
+          events: 1,
+          wins: placement.rank === 1 ? 1 : 0,
+          podiums: placement.rank <= 3 ? 1 : 0
+        },
+        $push: {
+          history: {
+            event: placement.event,
+            eventType: placement.eventType,
+            rank: placement.rank,
+            fieldSize: placement.fieldSize,
+            ratingBefore: round(before.rating),
+            rating,
+            change: round(change),
+            deviation,
+            at: placement.at
+          }
+        }
+      },
+      upsert: true
+    }
+  };
+};
+
+// Rate one category from an event's final standings. A team plays at its
+// members' average rating; each member then moves by the team's result
+// against their own K, so newcomers move faster than veterans. Teams only
+// exist for one event, so a team's rating starts from its members'.
+const rateCategory = async (event, category, entries, membersOf, now) => {
+  const userIds = [...new Set([...membersOf.values()].flat())];
+  const existing = await GlobalRating.find({ kind: 'User', subject: { $in: userIds }, category });
+  const byUser = new Map(existing.map(r => [r.subject.toString(), r]));
+
+  const userBefore = (userId) => {
+    const rating = byUser.get(userId);
+    return rating
+      ? { rating: rating.rating, deviation: currentDeviation(rating, now) }
+      : { rating: DEFAULT_RATING, deviation: DEFAULT_DEVIATION };
+  };
+
+  const mean = (values, fallback) =>
+    values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : fallback;
+
+  const field = entries.map(entry => {
+    const members = membersOf.get(entry.team.toString()) || [];
+    const ratings = members.map(userBefore);
+    return {
+      entry,
+      members,
+      totalScore: entry.totalScore,
+      rating: mean(ratings.map(r => r.rating), DEFAULT_RATING),
+      deviation: mean(ratings.map(r => r.deviation), DEFAULT_DEVIATION)
+    };
+  });
+
+  const performance = fieldPerformance(field);
+  const rated = new Set();
+  const ops = [];
+
+  field.forEach((team, index) => {
+    const placement = {
+      event: event._id,
+      eventType: event.type,
+      rank: team.entry.rank,
+      fieldSize: field.length,
+      at: now
+    };
+
+    ops.push(ratingUpdate(
+      'Team', team.entry.team, category, team,
+      kFactor(team.deviation, field.length) * performance[index],
+      placement
+    ));
+
+    // Someone on two teams in one event is rated with the first
+    team.members.filter(userId => !rated.has(userId)).forEach(userId => {
+      rated.add(userId);
+      const before = userBefore(userId);
+      ops.push(ratingUpdate(
+        'User', userId, category, before,
+        kFactor(before.deviation, field.length) * performance[index],
+        placement
+      ));
+    });
+  });
+
+  if (ops.length > 0) {
+    await GlobalRating.bulkWrite(ops);
+  }
+
+  return ops.length;
+};
+
+// Fold a finished event into the global ratings and its members' stats.
+// Waits until the leaderboard reveal is over so ratings can't give away
+// the final standings, and only ever counts an event once.
+const applyEventRatings = async (eventId, now = new Date()) => {
+  const event = await Event.findById(eventId)
+    .select('type status leaderboard leaderboardFreeze ratingsAppliedAt ratingsApplied');
+
+  if (!event || event.status !== 'completed' || event.ratingsAppliedAt || event.isLeaderboardFrozen(now)) {
+    return null;
+  }
+
+  const claimed = await Event.updateOne(
+    { _id: event._id, ratingsAppliedAt: null },
+    { $set: { ratingsAppliedAt: now } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  const entries = event.leaderboard.filter(entry => entry.team);
+  const applied = new Set(event.ratingsApplied || []);
+  let rated = 0;
+
+  // Each step is recorded once written, so a retry picks up where it failed
+  const markApplied = (step) => Event.updateOne(
+    { _id: event._id },
+    { $addToSet: { ratingsApplied: step } }
+  );
+
+  // Give the claim back if anything fails so the next run can try again
+  try {
+    const teams = await Team.find({ _id: { $in: entries.map(e => e.team) } }).select('members');
+    const membersOf = new Map(teams.map(team => [
+      team._id.toString(),
+      team.members
+        .filter(m => m.user && m.status === 'active')
+        .map(m => m.user.toString())
+    ]));
+
+    // A field of one says nothing about anyone's strength
+    if (entries.length >= 2) {
+      for (const category of ['overall', event.type].filter(c => !applied.has(c))) {
+        rated += await rateCategory(event, category, entries, membersOf, now);
+        await markApplied(category);
+      }
+    }
+
+    if (!applied.has('stats')) {
+      // Like the ratings, someone on two teams only counts the first
+      const counted = new Set();
+      const statUpdates = [];
+      entries.forEach(entry => {
+        (membersOf.get(entry.team.toString()) || [])
+          .filter(userId => !counted.has(userId))
+          .forEach(userId => {
+            counted.add(userId);
+            statUpdates.push({
+              updateOne: {
+                filter: { _id: userId },
+                update: {
+                  $inc: {
+                    'stats.wins': entry.rank === 1 ? 1 : 0,
+                    'stats.totalScore': entry.totalScore || 0
+                  }
+                }
+              }
+            });
+          });
+      });
+
+      if (statUpdates.length > 0) {
+        await User.bulkWrite(statUpdates);
+      }
+      await markApplied('stats');
+    }
+  } catch (error) {
+    await Event.updateOne(
+      { _id: event._id, ratingsAppliedAt: now },
+      { $set: { ratingsAppliedAt: null } }
+    );
+    throw error;
+  }
+
+  return { event: event._id, entries: entries.length, rated };
+};
+
+module.exports = {
+  RATING_CATEGORIES,
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  expectedScore,
+  fieldPerformance,
+  applyEventRatings
+};
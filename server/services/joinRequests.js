@@ -0,0 +1,142 @@
+const Team = require('../models/Team');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const JOIN_REQUEST_TTL_DAYS = Number(process.env.JOIN_REQUEST_TTL_DAYS) || 7;
+const SWEEP_INTERVAL = Number(process.env.JOIN_REQUEST_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+let timer = null;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Private teams always review who joins; public ones only if they opt in
+const requiresApproval = (team) => !team.isPublic || team.instantJoin === false;
+
+// The leader and any active member with the approver role
+const approverIds = (team) => [...new Set([
+  idOf(team.leader),
+  ...team.members
+    .filter(m => m.status === 'active' && m.role === 'approver')
+    .map(m => idOf(m.user))
+])];
+
+const canApprove = (team, user) => approverIds(team).includes(idOf(user));
+
+const joinRequestExpiry = (now = new Date()) => new Date(now.getTime() + JOIN_REQUEST_TTL_DAYS * DAY);
+
+// Mark the team's overdue requests expired in memory; the caller saves
+const expireOverdue = (team, now = new Date()) => team.joinRequests.filter(request => {
+  if (request.status !== 'pending' || !request.expiresAt || request.expiresAt > now) return false;
+  request.status = 'expired';
+  return true;
+});
+
+const requestPayload = (team, request) => ({
+  teamId: team._id,
+  teamName: team.name,
+  eventId: idOf(team.event),
+  request: {
+    _id: request._id,
+    user: request.user,
+    message: request.message,
+    status: request.status,
+    createdAt: request.createdAt,
+    expiresAt: request.expiresAt,
+    respondedAt: request.respondedAt
+  },
+  timestamp: new Date()
+});
+
+// Tell the applicant and the team's approvers about a request
+const notifyJoinRequest = (io, name, team, request, { applicant = true, approvers = true } = {}) => {
+  if (!io) return;
+
+  const recipients = new Set();
+  if (applicant) recipients.add(idOf(request.user));
+  if (approvers) approverIds(team).forEach(id => recipients.add(id));
+
+  const payload = requestPayload(team, request);
+  recipients.forEach(id => io.to(`user:${id}`).emit(name, payload));
+};
+
+// Once someone is on a team, their requests to the event's other teams
+// are withdrawn
+const withdrawOtherRequests = async (io, eventId, userId, exceptTeamId) => {
+  const teams = await Team.find({
+    event: eventId,
+    _id: { $ne: exceptTeamId },
+    joinRequests: { $elemMatch: { user: userId, status: 'pending' } }
+  });
+
+  for (const team of teams) {
+    const withdrawn = team.joinRequests.filter(
+      r => r.status === 'pending' && idOf(r.user) === idOf(userId)
+    );
+    withdrawn.forEach(request => {
+      request.status = 'withdrawn';
+      request.respondedAt = new Date();
+    });
+    await team.save();
+
+    withdrawn.forEach(request => notifyJoinRequest(io, 'joinRequestUpdated', team, request, { applicant: false }));
+  }
+};
+
+// Expire every overdue request on the platform and tell those involved
+const expireJoinRequests = async (io, now = new Date()) => {
+  const teams = await Team.find({
+    joinRequests: { $elemMatch: { status: 'pending', expiresAt: { $lte: now } } }
+  }).select('name event leader members joinRequests');
+
+  for (const team of teams) {
+    const expired = team.joinRequests.filter(
+      r => r.status === 'pending' && r.expiresAt && r.expiresAt <= now
+    );
+
+    // Only flips requests still pending, so a response landing at the same
+    // time isn't overwritten
+    await Team.updateOne(
+      { _id: team._id },
+      { $set: { 'joinRequests.$[request].status': 'expired' } },
+      { arrayFilters: [{ 'request.status': 'pending', 'request.expiresAt': { $lte: now } }] }
+    );
+
+    expired.forEach(request => {
+      request.status = 'expired';
+      notifyJoinRequest(io, 'joinRequestUpdated', team, request);
+    });
+  }
+
+  return teams.length;
+};
+
+const startJoinRequestExpiry = (io) => {
+  if (timer) return;
+
+  const sweep = () => expireJoinRequests(io).catch(error => {
+    console.error('Expire join requests error:', error);
+  });
+
+  sweep();
+  timer = setInterval(sweep, SWEEP_INTERVAL);
+};
+
+const stopJoinRequestExpiry = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  requiresApproval,
+  approverIds,
+  canApprove,
+  joinRequestExpiry,
+  expireOverdue,
+  notifyJoinRequest,
+  withdrawOtherRequests,
+  expireJoinRequests,
+  startJoinRequestExpiry,
+  stopJoinRequestExpiry
+};
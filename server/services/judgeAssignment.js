@@ -0,0 +1,127 @@
+const ACTIVE_STATUSES = ['assigned', 'completed'];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// A judge can't review a team they belong to or one they've declared a conflict with
+const hasConflict = (judgeId, team, conflicts = []) => {
+  const judge = idOf(judgeId);
+  const teamId = idOf(team);
+
+  if (team.leader && idOf(team.leader) === judge) return true;
+  if (team.members && team.members.some(m => m.user && idOf(m.user) === judge)) return true;
+
+  return conflicts.some(c => idOf(c.judge) === judge && idOf(c.team) === teamId);
+};
+
+const activeAssignments = (assignments = []) =>
+  assignments.filter(a => ACTIVE_STATUSES.includes(a.status));
+
+// Top up assignments so every submission gets `reviewsPerSubmission`
+// reviews, always handing the next review to the least loaded eligible judge.
+// Existing assignments are kept, so this can be re-run after new submissions
+// arrive or a judge drops out.
+const generateAssignments = ({ submissions, judges, reviewsPerSubmission, conflicts = [], existing = [] }) => {
+  const active = activeAssignments(existing);
+  const load = new Map(judges.map(j => [idOf(j), 0]));
+  const reviewers = new Map(submissions.map(s => [idOf(s), new Set()]));
+
+  active.forEach(a => {
+    const judge = idOf(a.judge);
+    if (load.has(judge)) load.set(judge, load.get(judge) + 1);
+    if (reviewers.has(idOf(a.submission))) reviewers.get(idOf(a.submission)).add(judge);
+  });
+
+  const eligibleFor = (submission) => judges
+    .map(idOf)
+    .filter(judge => !hasConflict(judge, submission.team, conflicts));
+
+  // Hardest submissions to cover go first so they get first pick of judges
+  const queue = submissions
+    .map(submission => ({ submission, eligible: eligibleFor(submission) }))
+    .sort((a, b) => a.eligible.length - b.eligible.length);
+
+  const assignments = [];
+  const gaps = [];
+
+  queue.forEach(({ submission, eligible }) => {
+    const submissionId = idOf(submission);
+    const assigned = reviewers.get(submissionId);
+
+    while (assigned.size < reviewsPerSubmission) {
+      const candidates = eligible
+        .filter(judge => !assigned.has(judge))
+        .sort((a, b) => load.get(a) - load.get(b));
+
+      if (candidates.length === 0) break;
+
+      const judge = candidates[0];
+      assigned.add(judge);
+      load.set(judge, load.get(judge) + 1);
+      assignments.push({
+        judge,
+        submission: submissionId,
+        team: idOf(submission.team),
+        status: 'assigned',
+        assignedAt: new Date()
+      });
+    }
+
+    if (assigned.size < reviewsPerSubmission) {
+      gaps.push({
+        submission: submissionId,
+        team: idOf(submission.team),
+        required: reviewsPerSubmission,
+        assigned: assigned.size,
+        eligibleJudges: eligible.length
+      });
+    }
+  });
+
+  return { assignments, gaps };
+};
+
+// Review progress per submission and per judge
+const getCoverage = ({ submissions, judges, reviewsPerSubmission, assignments = [] }) => {
+  const active = activeAssignments(assignments);
+
+  const bySubmission = submissions.map(submission => {
+    const submissionId = idOf(submission);
+    const reviews = active.filter(a => idOf(a.submission) === submissionId);
+    const completed = reviews.filter(a => a.status === 'completed').length;
+
+    return {
+      submission: submissionId,
+      team: idOf(submission.team),
+      required: reviewsPerSubmission,
+      assigned: reviews.length,
+      completed,
+      missing: Math.max(reviewsPerSubmission - reviews.length, 0)
+    };
+  });
+
+  const byJudge = judges.map(judge => {
+    const judgeId = idOf(judge);
+    const reviews = active.filter(a => idOf(a.judge) === judgeId);
+    const completed = reviews.filter(a => a.status === 'completed').length;
+
+    return {
+      judge: judgeId,
+      assigned: reviews.length,
+      completed,
+      remaining: reviews.length - completed
+    };
+  });
+
+  return {
+    submissions: bySubmission,
+    judges: byJudge,
+    gaps: bySubmission.filter(s => s.missing > 0)
+  };
+};
+
+module.exports = {
+  hasConflict,
+  activeAssignments,
+  generateAssignments,
+  getCoverage
+};
@@ -0,0 +1,585 @@
+const Event = require('../models/Event');
+const Submission = require('../models/Submission');
+const Ballot = require('../models/Ballot');
+const LeaderboardSnapshot = require('../models/LeaderboardSnapshot');
+const { normalizeJudgeScores, scoreSubmission } = require('./scoring');
+const { getPairwiseRanking } = require('./pairwise');
+const { tallyVotes } = require('./tally');
+const { publishLeaderboardChange } = require('./leaderboardPublisher');
+
+const RANKING_MODES = ['judges', 'public', 'blend'];
+
+// Votes and scores arriving within this window are applied together
+const DEBOUNCE_MS = Number(process.env.LEADERBOARD_DEBOUNCE_MS) || 2000;
+
+// History snapshots closer together than this are merged into one, and an
+// event keeps at most MAX_SNAPSHOTS, so vote-by-vote updates at a big
+// event don't pile up a document each
+const SNAPSHOT_INTERVAL_MS = Number(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MS) || 5 * 60 * 1000;
+const MAX_SNAPSHOTS = Number(process.env.LEADERBOARD_MAX_SNAPSHOTS) || 1000;
+
+// Entry fields the incremental update compares and writes
+const LEADERBOARD_FIELDS = [
+  'totalScore', 'judgeScore', 'publicScore', 'confidence', 'scores',
+  'rank', 'previousRank', 'rankChange', 'scoreChange'
+];
+const PEOPLES_CHOICE_FIELDS = ['score', 'result', 'rank'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Submissions that belong on the leaderboard
+const isRankable = (submission) => !['draft', 'rejected'].includes(submission.status);
+
+// Public score on the judges' 0-100 scale. "absolute" scales the entry's
+// own result (3.5 stars = 70%); "relative" gives the top entry full marks.
+const scalePublic = (share, topShare, { publicScale, publicScaling }) => {
+  const scaled = publicScaling === 'relative'
+    ? (topShare > 0 ? share / topShare : 0)
+    : share;
+  return round(scaled * publicScale);
+};
+
+const blend = (judgeScore, publicScore, settings) => {
+  if (settings.mode === 'judges') return judgeScore;
+  if (settings.mode === 'public') return publicScore;
+  return round(judgeScore * settings.judgeWeight + publicScore * settings.publicWeight);
+};
+
+const assignRanks = (entries, key) => {
+  entries.sort((a, b) => b[key] - a[key]);
+  entries.forEach((entry, index) => {
+    entry.rank = index + 1;
+  });
+  return entries;
+};
+
+const sameStandings = (entries, snapshot) =>
+  entries.length === snapshot.entries.length &&
+  entries.every(entry => snapshot.entries.some(prev =>
+    prev.team.toString() === entry.team.toString() &&
+    prev.rank === entry.rank &&
+    prev.totalScore === entry.totalScore
+  ));
+
+const pruneSnapshots = async (eventId) => {
+  const stale = await LeaderboardSnapshot.find({ event: eventId })
+    .sort({ takenAt: -1 })
+    .skip(MAX_SNAPSHOTS)
+    .select('_id');
+
+  if (stale.length > 0) {
+    await LeaderboardSnapshot.deleteMany({ _id: { $in: stale.map(s => s._id) } });
+  }
+};
+
+// Compare new standings with the last snapshot, then store them as the
+// next one. A recompute that changes nothing keeps the deltas from the
+// last real change instead of resetting them to zero. A snapshot less than
+// SNAPSHOT_INTERVAL_MS old is replaced instead, with deltas measured from
+// the one before it, unless the freeze falls in between: history up to
+// the freeze has to stay as it was.
+const recordSnapshot = async (event, entries, current = [], takenAt = new Date()) => {
+  const [previous, beforePrevious] = await LeaderboardSnapshot.find({ event: event._id })
+    .sort({ takenAt: -1 })
+    .limit(2);
+
+  if (previous && sameStandings(entries, previous)) {
+    entries.forEach(entry => {
+      const kept = current.find(c => c.team.toString() === entry.team.toString());
+      if (!kept) return;
+      entry.previousRank = kept.previousRank;
+      entry.rankChange = kept.rankChange;
+      entry.scoreChange = kept.scoreChange;
+    });
+    return previous;
+  }
+
+  const freeze = event.leaderboardFreeze;
+  const frozenSince = freeze && (freeze.frozenAt || freeze.freezeAt);
+  const coalesce = !!previous &&
+    takenAt - previous.takenAt < SNAPSHOT_INTERVAL_MS &&
+    !(frozenSince && previous.takenAt <= frozenSince && frozenSince <= takenAt);
+  const baseline = coalesce ? beforePrevious : previous;
+
+  entries.forEach(entry => {
+    const before = baseline && baseline.entries.find(
+      prev => prev.team.toString() === entry.team.toString()
+    );
+    entry.previousRank = before ? before.rank : undefined;
+    entry.rankChange = before ? before.rank - entry.rank : undefined;
+    entry.scoreChange = before ? Math.round((entry.totalScore - before.totalScore) * 100) / 100 : undefined;
+  });
+
+  const stored = entries.map(({ team, submission, rank, totalScore, judgeScore, publicScore }) => ({
+    team, submission, rank, totalScore, judgeScore, publicScore
+  }));
+
+  if (coalesce) {
+    previous.takenAt = takenAt;
+    previous.entries = stored;
+    return previous.save();
+  }
+
+  const snapshot = await LeaderboardSnapshot.create({ event: event._id, takenAt, entries: stored });
+  await pruneSnapshots(event._id);
+  return snapshot;
+};
+
+// A team's rank and score at each snapshot. Anyone but the organizer only
+// sees history up to the freeze.
+const getTeamHistory = (event, teamId, user) => {
+  const isOrganizer = !!user && event.organizer.toString() === user._id.toString();
+  const query = { event: event._id, 'entries.team': teamId };
+
+  if (!isOrganizer && event.isLeaderboardFrozen()) {
+    query.takenAt = { $lte: event.leaderboardFreeze.frozenAt || event.leaderboardFreeze.freezeAt };
+  }
+
+  return LeaderboardSnapshot.find(query)
+    .sort({ takenAt: 1 })
+    .then(snapshots => snapshots.map(snapshot => {
+      const entry = snapshot.entries.find(e => e.team.toString() === teamId.toString());
+      return {
+        takenAt: snapshot.takenAt,
+        rank: entry.rank,
+        totalScore: entry.totalScore,
+        judgeScore: entry.judgeScore,
+        publicScore: entry.publicScore,
+        teams: snapshot.entries.length
+      };
+    }));
+};
+
+// Keep the standings from the moment of the freeze. Every leaderboard
+// update passes through here first, so until the snapshot exists the
+// current board is still the one from before the freeze.
+const freezeLeaderboard = (event, now = new Date()) => {
+  const freeze = event.leaderboardFreeze;
+  if (!event.isLeaderboardFrozen(now) || freeze.frozenAt) return false;
+
+  freeze.snapshot = event.leaderboard.map(entry => entry.toObject());
+  freeze.frozenAt = now;
+  return true;
+};
+
+// What someone sees on the leaderboard. Organizers always get live data;
+// everyone else gets the frozen snapshot plus whatever the reveal has
+// shown so far.
+const getLeaderboardView = (event, user, now = new Date()) => {
+  const isOrganizer = !!user && event.organizer.toString() === user._id.toString();
+  const freeze = event.leaderboardFreeze;
+  const frozen = event.isLeaderboardFrozen(now);
+
+  const view = {
+    leaderboard: event.leaderboard,
+    peoplesChoice: event.peoplesChoice,
+    seq: event.leaderboardSeq,
+    frozen,
+    freezeAt: freeze && freeze.freezeAt,
+    reveal: freeze ? { status: freeze.reveal.status, revealed: freeze.reveal.revealed } : null
+  };
+
+  if (!frozen || isOrganizer) return view;
+
+  view.leaderboard = freeze.frozenAt ? freeze.snapshot : event.leaderboard;
+  view.peoplesChoice = [];
+
+  if (freeze.reveal.status === 'revealing') {
+    const { final, revealed } = freeze.reveal;
+    view.reveal.entries = final.slice(final.length - revealed);
+    view.reveal.remaining = final.length - revealed;
+  }
+
+  return view;
+};
+
+// Whether a submission's live scores and vote counts are hidden from this
+// user: while the leaderboard is frozen only the organizer sees them
+const hidesLiveResults = (event, user, now = new Date()) => {
+  const isOrganizer = !!user && event.organizer.toString() === user._id.toString();
+  return !isOrganizer && event.isLeaderboardFrozen(now);
+};
+
+// A plain submission without anything the frozen standings could be
+// worked out from. Judges keep their own scores and voters their own vote.
+const withoutLiveResults = (data, user) => {
+  const own = (ref) => !!user && !!ref && (ref._id || ref).toString() === user._id.toString();
+
+  if (data.judging) {
+    data.judging = {
+      status: data.judging.status,
+      scores: (data.judging.scores || []).filter(score => own(score.judge))
+    };
+  }
+  if (data.voting) {
+    data.voting = {
+      votes: (data.voting.votes || []).filter(vote => own(vote.user))
+    };
+  }
+  return data;
+};
+
+// Recalculate an event's leaderboard and People's Choice ranking from
+// judge scores and public votes. autoJudge scores anything still pending
+// with the event's rules first.
+const rebuildLeaderboard = async (eventId, { autoJudge = false } = {}) => {
+  const event = await Event.findById(eventId).populate('submissions');
+  const submissions = event.submissions.filter(isRankable);
+
+  freezeLeaderboard(event);
+
+  if (autoJudge) {
+    for (const submission of submissions) {
+      if (submission.judging.status === 'pending') {
+        await submission.autoJudge(event.judging.autoRules, event.judging.criteria);
+      }
+    }
+  }
+
+  const normalized = normalizeJudgeScores(submissions, event.judging.normalization);
+
+  // Pairwise events rank by comparisons instead of rubric scores
+  const pairwise = event.judging.mode === 'pairwise'
+    ? await getPairwiseRanking(event._id, submissions.map(s => s._id))
+    : null;
+
+  const method = event.voting.method;
+  const ballots = method === 'star'
+    ? []
+    : await Ballot.find({ event: event._id, method, voided: { $ne: true } });
+  const tally = tallyVotes(method, { ballots, submissions });
+  const publicResults = new Map(tally.results.map(r => [r.submission.toString(), r]));
+  const topShare = Math.max(0, ...tally.results.map(r => r.share));
+
+  const settings = event.ranking;
+  const leaderboard = [];
+  const peoplesChoice = [];
+
+  for (const submission of submissions) {
+    let { totalScore: judgeScore, breakdown } = submission.applyScoring(
+      event.judging.criteria,
+      normalized.get(submission._id.toString())
+    );
+    await submission.save();
+
+    const ranking = pairwise && pairwise.get(submission._id.toString());
+    if (ranking) {
+      judgeScore = ranking.score;
+      breakdown = [];
+    }
+
+    const result = publicResults.get(submission._id.toString()) || { share: 0 };
+    const publicScore = scalePublic(result.share, topShare, settings);
+
+    leaderboard.push({
+      team: submission.team,
+      submission: submission._id,
+      totalScore: blend(judgeScore, publicScore, settings),
+      judgeScore,
+      publicScore,
+      confidence: ranking ? ranking.confidence : undefined,
+      scores: breakdown,
+      rank: 0,
+      updatedAt: new Date()
+    });
+
+    peoplesChoice.push({
+      team: submission.team,
+      submission: submission._id,
+      score: publicScore,
+      result: result.score,
+      rank: 0
+    });
+  }
+
+  assignRanks(leaderboard, 'totalScore');
+  assignRanks(peoplesChoice, 'score');
+  await recordSnapshot(event, leaderboard, event.leaderboard);
+
+  const changes = {
+    leaderboard: diffEntries(
+      plainEntries(event.leaderboard),
+      leaderboard.map(entry => ({ ...entry, scores: scoreRows(entry.scores) })),
+      LEADERBOARD_FIELDS
+    ),
+    peoplesChoice: diffEntries(plainEntries(event.peoplesChoice), peoplesChoice, PEOPLES_CHOICE_FIELDS)
+  };
+
+  event.leaderboard = leaderboard;
+  event.peoplesChoice = peoplesChoice;
+  await event.save();
+
+  return { leaderboard: event.leaderboard, changes };
+};
+
+// Updates to one event run one after another so a rebuild and an
+// incremental update never interleave their reads and writes
+const queues = new Map();
+
+const serialize = (eventId, task) => {
+  const key = eventId.toString();
+  const next = (queues.get(key) || Promise.resolve()).catch(() => {}).then(task);
+  queues.set(key, next);
+  next.catch(() => {}).then(() => {
+    if (queues.get(key) === next) queues.delete(key);
+  });
+  return next;
+};
+
+// Routes that save an event's freeze or reveal state run through the same
+// queue, so their saves can't land between an update's read and its write
+const withLeaderboardQueue = (eventId, task) => serialize(eventId, task);
+
+// Take the freeze snapshot if it's due. It's taken in the queue from a
+// fresh read, so it holds the board as of the last update applied.
+const ensureFreezeSnapshot = async (event, now = new Date()) => {
+  if (!event.isLeaderboardFrozen(now) || event.leaderboardFreeze.frozenAt) return;
+
+  const freeze = await serialize(event._id, async () => {
+    const current = await Event.findById(event._id).select('leaderboard leaderboardFreeze');
+    if (freezeLeaderboard(current, now)) await current.save();
+    return current.leaderboardFreeze.toObject();
+  });
+
+  event.leaderboardFreeze = freeze;
+};
+
+// Rebuild now and publish the change; pass io to push it to the event room
+const updateEventLeaderboard = (eventId, { io, ...options } = {}) => serialize(eventId, async () => {
+  const { leaderboard, changes } = await rebuildLeaderboard(eventId, options);
+  await publishLeaderboardChange(io, eventId, changes);
+  return leaderboard;
+});
+
+// Anything that depends on the whole field rather than one entry's own
+// numbers needs the full rebuild: normalized or pairwise judging, ballot
+// methods and relative public scaling
+const needsRebuild = (event) =>
+  event.judging.normalization !== 'none' ||
+  event.judging.mode === 'pairwise' ||
+  event.voting.method !== 'star' ||
+  event.ranking.publicScaling === 'relative' ||
+  (event.isLeaderboardFrozen() && !event.leaderboardFreeze.frozenAt);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const sameSubmission = (a, b) => a.submission.toString() === b.submission.toString();
+
+// Score breakdown as stored on an entry
+const scoreRows = (breakdown) => breakdown.map(({ criterion, weight, score, weightedScore }) =>
+  ({ criterion, weight, score, weightedScore }));
+
+// Plain copies of embedded entries that compare equal to freshly
+// computed ones
+const plainEntries = (entries) => entries.map(entry => {
+  const plain = entry.toObject();
+  if (plain.scores) plain.scores = scoreRows(plain.scores);
+  return plain;
+});
+
+// Replace or add the entry for a submission
+const upsertEntry = (entries, values) => {
+  const existing = entries.find(entry => sameSubmission(entry, values));
+  if (existing) Object.assign(existing, values);
+  else entries.push(values);
+};
+
+// What changed between two versions of an entry array: entries added,
+// the fields that changed on entries kept, and entries removed
+const diffEntries = (before, after, fields) => ({
+  added: after.filter(entry => !before.some(e => sameSubmission(e, entry))),
+  updated: after
+    .map(entry => {
+      const previous = before.find(e => sameSubmission(e, entry));
+      if (!previous) return null;
+
+      const changes = {};
+      fields
+        .filter(field => !sameValue(previous[field], entry[field]))
+        .forEach(field => {
+          changes[field] = entry[field];
+        });
+      return Object.keys(changes).length > 0 ? { entry, changes } : null;
+    })
+    .filter(Boolean),
+  removed: before.filter(entry => !after.some(e => sameSubmission(e, entry)))
+});
+
+// Atomic updates that apply a diff to the stored array: pull removed
+// entries, set only the fields that changed, push new entries and keep the
+// array sorted by rank
+const arrayUpdates = (eventId, path, { added, updated, removed }) => {
+  const ops = [];
+
+  if (removed.length > 0) {
+    ops.push({
+      updateOne: {
+        filter: { _id: eventId },
+        update: { $pull: { [path]: { submission: { $in: removed.map(e => e.submission) } } } }
+      }
+    });
+  }
+
+  updated.forEach(({ entry, changes }) => {
+    const $set = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      $set[`${path}.$[entry].${field}`] = value;
+    });
+    if (entry.updatedAt) $set[`${path}.$[entry].updatedAt`] = entry.updatedAt;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: eventId },
+        update: { $set },
+        arrayFilters: [{ 'entry.submission': entry.submission }]
+      }
+    });
+  });
+
+  // Only added if nothing else put the entry there in the meantime
+  if (added.length > 0) {
+    ops.push({
+      updateOne: {
+        filter: { _id: eventId, [`${path}.submission`]: { $nin: added.map(e => e.submission) } },
+        update: { $push: { [path]: { $each: added } } }
+      }
+    });
+  }
+
+  if (ops.length > 0) {
+    ops.push({
+      updateOne: {
+        filter: { _id: eventId },
+        update: { $push: { [path]: { $each: [], $sort: { rank: 1 } } } }
+      }
+    });
+  }
+
+  return ops;
+};
+
+// Rescore just the given submissions and write the entries whose score,
+// rank or movement changed. The event is read without its submissions
+// and only the affected submissions are loaded.
+const applyIncrementalUpdate = async (event, submissionIds) => {
+  const submissions = await Submission.find({ _id: { $in: submissionIds }, event: event._id })
+    .select('team status judging.scores voting.publicVotes');
+  const found = new Map(submissions.map(s => [s._id.toString(), s]));
+
+  // Entries for deleted, draft or rejected submissions drop off
+  const stays = (entry) => {
+    const id = entry.submission.toString();
+    return !submissionIds.includes(id) || (found.has(id) && isRankable(found.get(id)));
+  };
+
+  const current = plainEntries(event.leaderboard);
+  const currentChoice = plainEntries(event.peoplesChoice);
+  const leaderboard = current.filter(stays).map(entry => ({ ...entry }));
+  const peoplesChoice = currentChoice.filter(stays).map(entry => ({ ...entry }));
+
+  const settings = event.ranking;
+  const now = new Date();
+
+  submissions.filter(isRankable).forEach(submission => {
+    const { totalScore: judgeScore, breakdown } = scoreSubmission(
+      submission.judging.scores,
+      event.judging.criteria
+    );
+    const publicVotes = submission.voting.publicVotes || 0;
+    const publicScore = scalePublic(round(publicVotes / 5), 0, settings);
+
+    upsertEntry(leaderboard, {
+      team: submission.team,
+      submission: submission._id,
+      totalScore: blend(judgeScore, publicScore, settings),
+      judgeScore,
+      publicScore,
+      scores: scoreRows(breakdown),
+      updatedAt: now
+    });
+    upsertEntry(peoplesChoice, {
+      team: submission.team,
+      submission: submission._id,
+      score: publicScore,
+      result: round(publicVotes)
+    });
+  });
+
+  assignRanks(leaderboard, 'totalScore');
+  assignRanks(peoplesChoice, 'score');
+  await recordSnapshot(event, leaderboard, current, now);
+
+  const changes = {
+    leaderboard: diffEntries(current, leaderboard, LEADERBOARD_FIELDS),
+    peoplesChoice: diffEntries(currentChoice, peoplesChoice, PEOPLES_CHOICE_FIELDS)
+  };
+  const ops = [
+    ...arrayUpdates(event._id, 'leaderboard', changes.leaderboard),
+    ...arrayUpdates(event._id, 'peoplesChoice', changes.peoplesChoice)
+  ];
+
+  if (ops.length > 0) {
+    await Event.bulkWrite(ops, { ordered: true });
+  }
+
+  return changes;
+};
+
+// Pending batches per event: the submissions touched since the last flush,
+// or full when something needs the whole board rebuilt
+const pending = new Map();
+
+const flushLeaderboardUpdate = async (key) => {
+  const batch = pending.get(key);
+  pending.delete(key);
+
+  const event = await Event.findById(key).select(
+    'ranking voting.method judging.normalization judging.mode judging.criteria ' +
+    'leaderboardFreeze.freezeAt leaderboardFreeze.frozenAt leaderboardFreeze.reveal.status ' +
+    'leaderboard peoplesChoice'
+  );
+  if (!event) return;
+
+  const changes = batch.full || needsRebuild(event)
+    ? (await rebuildLeaderboard(event._id)).changes
+    : await applyIncrementalUpdate(event, [...batch.submissions]);
+
+  await publishLeaderboardChange(batch.io, event._id, changes);
+};
+
+// Queue a leaderboard update after a vote, score or submission change.
+// Changes to one event within DEBOUNCE_MS of the first are applied
+// together; leave out submissionId to rebuild the whole board.
+const scheduleLeaderboardUpdate = (io, eventId, submissionId = null) => {
+  const key = (eventId._id || eventId).toString();
+  let batch = pending.get(key);
+
+  if (!batch) {
+    batch = { submissions: new Set(), full: false, io };
+    pending.set(key, batch);
+
+    const timer = setTimeout(() => {
+      serialize(key, () => flushLeaderboardUpdate(key)).catch(error => {
+        console.error('Update leaderboard error:', error);
+      });
+    }, DEBOUNCE_MS);
+    if (timer.unref) timer.unref();
+  }
+
+  if (io) batch.io = io;
+  if (submissionId) batch.submissions.add(submissionId.toString());
+  else batch.full = true;
+};
+
+module.exports = {
+  RANKING_MODES,
+  ensureFreezeSnapshot,
+  freezeLeaderboard,
+  getLeaderboardView,
+  getTeamHistory,
+  hidesLiveResults,
+  scheduleLeaderboardUpdate,
+  updateEventLeaderboard,
+  withLeaderboardQueue,
+  withoutLiveResults
+};
@@ -0,0 +1,50 @@
+const Event = require('../models/Event');
+
+const isEmpty = ({ added, updated, removed }) =>
+  added.length === 0 && updated.length === 0 && removed.length === 0;
+
+// Only what a client needs to patch its copy: new entries in full, the
+// changed fields of existing ones and the submissions that dropped off
+const compact = ({ added, updated, removed }) => ({
+  added: added.map(({ _id, ...entry }) => entry),
+  updated: updated.map(({ entry, changes }) => ({
+    submission: entry.submission,
+    team: entry.team,
+    ...changes
+  })),
+  removed: removed.map(entry => entry.submission)
+});
+
+// Push a written leaderboard change to the event room. Every change gets
+// the next sequence number so clients can tell when they've missed one and
+// fetch a fresh snapshot. The number is bumped after the change is saved,
+// so a snapshot taken in between may already contain part of the next
+// diff; diffs carry whole values, so applying that part again is harmless.
+// Nothing goes out while the public board is frozen.
+const publishLeaderboardChange = async (io, eventId, { leaderboard, peoplesChoice }) => {
+  if (isEmpty(leaderboard) && isEmpty(peoplesChoice)) return null;
+
+  const event = await Event.findByIdAndUpdate(
+    eventId,
+    { $inc: { leaderboardSeq: 1 } },
+    { new: true }
+  ).select('leaderboardSeq leaderboardFreeze');
+
+  if (!event) return null;
+
+  if (io && !event.isLeaderboardFrozen()) {
+    io.to(`event:${event._id}`).emit('leaderboardDiff', {
+      eventId: event._id,
+      seq: event.leaderboardSeq,
+      leaderboard: compact(leaderboard),
+      peoplesChoice: compact(peoplesChoice),
+      timestamp: new Date()
+    });
+  }
+
+  return event.leaderboardSeq;
+};
+
+module.exports = {
+  publishLeaderboardChange
+};
@@ -0,0 +1,117 @@
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+// How much of a match comes from filling the team's stated gaps versus
+// bringing skills nobody on the team has yet
+const GAP_WEIGHT = 0.8;
+const BREADTH_WEIGHT = 0.2;
+
+// Skills are matched loosely so "React" and " react" are the same skill
+const skillKey = (skill) => String(skill || '').trim().toLowerCase();
+
+// Skill names keyed by skillKey, keeping the first spelling seen
+const skillMap = (skills) => {
+  const map = new Map();
+  (skills || []).forEach(skill => {
+    const key = skillKey(skill);
+    if (key && !map.has(key)) map.set(key, String(skill).trim());
+  });
+  return map;
+};
+
+const activeMembers = (team) => team.members.filter(m => m.status === 'active');
+
+// Skills the team already has between its active members
+const teamSkills = (team) => skillMap(activeMembers(team).flatMap(m => m.skills || []));
+
+// Required skills nobody on the team covers yet
+const missingSkills = (team) => {
+  const held = teamSkills(team);
+  return new Map([...skillMap(team.requiredSkills)].filter(([key]) => !held.has(key)));
+};
+
+// Score one candidate against one team, 0-1, with the reasons behind it
+const scoreMatch = (team, candidateSkills) => {
+  const missing = missingSkills(team);
+  const held = teamSkills(team);
+  const skills = skillMap(candidateSkills);
+
+  const covers = [...missing].filter(([key]) => skills.has(key)).map(([, name]) => name);
+  const adds = [...skills]
+    .filter(([key]) => !missing.has(key) && !held.has(key))
+    .map(([, name]) => name);
+
+  const gapScore = missing.size > 0 ? covers.length / missing.size : 0;
+  const breadthScore = skills.size > 0 ? adds.length / skills.size : 0;
+
+  const reasons = [];
+  if (covers.length > 0) reasons.push(`covers: ${covers.join(', ')}`);
+  if (adds.length > 0) reasons.push(`also brings: ${adds.join(', ')}`);
+
+  return {
+    score: Math.round((gapScore * GAP_WEIGHT + breadthScore * BREADTH_WEIGHT) * 100) / 100,
+    covers,
+    adds,
+    stillMissing: [...missing].filter(([key]) => !skills.has(key)).map(([, name]) => name),
+    reasons
+  };
+};
+
+const byScore = (a, b) => b.match.score - a.match.score;
+
+// Users already active on a team in the event
+const findTeamedUserIds = async (eventId) => {
+  const teams = await Team.find({ event: eventId }).select('members');
+  return new Set(teams.flatMap(team => activeMembers(team).map(m => m.user.toString())));
+};
+
+// Event participants who aren't on a team yet
+const findFreeParticipants = async (event, fields = 'username profile stats') => {
+  const teamed = await findTeamedUserIds(event._id);
+  const ids = event.participants
+    .filter(p => p.role === 'participant' && !teamed.has(p.user.toString()))
+    .map(p => p.user);
+
+  return User.find({ _id: { $in: ids } }).select(fields);
+};
+
+const isFreeParticipant = async (event, userId) => {
+  const registered = event.participants.some(
+    p => p.role === 'participant' && p.user.toString() === userId.toString()
+  );
+  if (!registered) return false;
+
+  const teamed = await findTeamedUserIds(event._id);
+  return !teamed.has(userId.toString());
+};
+
+// Open teams with room, best fit for the user first
+const recommendTeams = (user, teams, maxTeamSize) => teams
+  .filter(team => team.lookingForMembers && activeMembers(team).length < maxTeamSize)
+  .map(team => ({
+    team,
+    spots: maxTeamSize - activeMembers(team).length,
+    match: scoreMatch(team, user.profile && user.profile.skills)
+  }))
+  .filter(result => result.match.score > 0)
+  .sort(byScore);
+
+// Free participants, best fit for the team first
+const recommendParticipants = (team, users) => users
+  .map(user => ({
+    user,
+    match: scoreMatch(team, user.profile && user.profile.skills)
+  }))
+  .filter(result => result.match.score > 0)
+  .sort(byScore);
+
+module.exports = {
+  skillKey,
+  skillMap,
+  missingSkills,
+  scoreMatch,
+  findFreeParticipants,
+  isFreeParticipant,
+  recommendTeams,
+  recommendParticipants
+};
@@ -0,0 +1,143 @@
+const Comparison = require('../models/Comparison');
+
+// Bradley-Terry ranking for pairwise judging. Every submission has a
+// strength s, and the chance that a beats b is s_a / (s_a + s_b).
+// Strengths are fit with the standard MM iteration. A small prior (one
+// virtual win and loss against an average opponent) keeps entries with
+// few or one-sided comparisons from running off to zero or infinity.
+
+const PRIOR_GAMES = 1;
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-6;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const fitBradleyTerry = (itemIds, decisions) => {
+  const ids = itemIds.map(idOf);
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const n = ids.length;
+
+  const wins = new Array(n).fill(PRIOR_GAMES);
+  const games = new Map();
+  const pairKey = (i, j) => (i < j ? `${i}:${j}` : `${j}:${i}`);
+
+  decisions.forEach(d => {
+    const w = index.get(idOf(d.winner));
+    const l = index.get(idOf(d.loser));
+    if (w === undefined || l === undefined || w === l) return;
+
+    wins[w] += 1;
+    const key = pairKey(w, l);
+    games.set(key, (games.get(key) || 0) + 1);
+  });
+
+  let strength = new Array(n).fill(1);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const denominators = new Array(n).fill(0);
+
+    // Prior games against a virtual opponent of strength 1
+    for (let i = 0; i < n; i++) {
+      denominators[i] += (2 * PRIOR_GAMES) / (strength[i] + 1);
+    }
+
+    games.forEach((count, key) => {
+      const [i, j] = key.split(':').map(Number);
+      const share = count / (strength[i] + strength[j]);
+      denominators[i] += share;
+      denominators[j] += share;
+    });
+
+    const next = strength.map((_, i) => wins[i] / denominators[i]);
+
+    // Pin the geometric mean to 1 so strengths stay comparable between fits
+    const logMean = next.reduce((sum, s) => sum + Math.log(s), 0) / n;
+    const scaled = next.map(s => s / Math.exp(logMean));
+
+    const change = Math.max(...scaled.map((s, i) => Math.abs(s - strength[i])));
+    strength = scaled;
+    if (change < TOLERANCE) break;
+  }
+
+  // Standard error of each log-strength from the Fisher information
+  const information = strength.map((s, i) => (PRIOR_GAMES * 2 * s) / (s + 1) ** 2);
+  games.forEach((count, key) => {
+    const [i, j] = key.split(':').map(Number);
+    const p = strength[i] / (strength[i] + strength[j]);
+    information[i] += count * p * (1 - p);
+    information[j] += count * p * (1 - p);
+  });
+
+  const comparisons = new Array(n).fill(0);
+  games.forEach((count, key) => {
+    const [i, j] = key.split(':').map(Number);
+    comparisons[i] += count;
+    comparisons[j] += count;
+  });
+
+  return ids.map((id, i) => ({
+    submission: id,
+    strength: strength[i],
+    logStrength: Math.log(strength[i]),
+    standardError: 1 / Math.sqrt(information[i]),
+    comparisons: comparisons[i]
+  }));
+};
+
+// Ranked results with a 0-100 score and a 0-1 confidence value.
+// The score is the chance of beating an average entry; confidence
+// shrinks as the standard error of the estimate grows.
+const rankSubmissions = (itemIds, decisions) => fitBradleyTerry(itemIds, decisions)
+  .map(r => ({
+    ...r,
+    score: Math.round((r.strength / (r.strength + 1)) * 10000) / 100,
+    confidence: Math.round((1 / (1 + r.standardError ** 2)) * 100) / 100
+  }))
+  .sort((a, b) => b.strength - a.strength)
+  .map((r, i) => ({ ...r, rank: i + 1 }));
+
+// Pick the pair that tells us the most: prefer entries we know least
+// about, then pairs whose outcome is closest to a coin flip. Pairs the
+// judge has already seen and entries they can't judge are skipped.
+const selectNextPair = ({ itemIds, decisions, seenPairs = [], excluded = [] }) => {
+  const ratings = fitBradleyTerry(itemIds, decisions);
+  const blocked = new Set(excluded.map(idOf));
+  const seen = new Set(seenPairs.map(([a, b]) => [idOf(a), idOf(b)].sort().join(':')));
+
+  const candidates = ratings.filter(r => !blocked.has(r.submission));
+  let best = null;
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i];
+      const b = candidates[j];
+      if (seen.has([a.submission, b.submission].sort().join(':'))) continue;
+
+      const p = a.strength / (a.strength + b.strength);
+      const value = p * (1 - p) * (a.standardError + b.standardError);
+
+      if (!best || value > best.value) {
+        best = { pair: [a.submission, b.submission], value };
+      }
+    }
+  }
+
+  return best ? best.pair : null;
+};
+
+// Pairwise ranking for an event's submissions, keyed by submission id
+const getPairwiseRanking = async (eventId, submissionIds) => {
+  const decisions = await Comparison.find({ event: eventId, status: 'decided' })
+    .select('winner loser');
+
+  return new Map(
+    rankSubmissions(submissionIds, decisions).map(r => [r.submission, r])
+  );
+};
+
+module.exports = {
+  fitBradleyTerry,
+  getPairwiseRanking,
+  rankSubmissions,
+  selectNextPair
+};
@@ -0,0 +1,151 @@
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+// How many entries to pick the next one from, so voters who ask at the
+// same time don't all land on the same game
+const SPREAD = 5;
+
+// Check a voter's category ratings against the event's categories.
+// Categories can be skipped (not every game has audio), but at least one
+// has to be rated. Returns an error message or null.
+const validateRatings = (ratings, categories) => {
+  if (!Array.isArray(ratings) || ratings.length === 0) {
+    return 'Rate at least one category';
+  }
+
+  const names = categories.map(c => c.name);
+  const seen = new Set();
+
+  for (const rating of ratings) {
+    if (!names.includes(rating.category)) {
+      return `Unknown category "${rating.category}"`;
+    }
+    if (seen.has(rating.category)) {
+      return `Category "${rating.category}" is rated more than once`;
+    }
+    if (typeof rating.score !== 'number' || rating.score < 1 || rating.score > 5) {
+      return 'Ratings must be between 1 and 5';
+    }
+    seen.add(rating.category);
+  }
+
+  return null;
+};
+
+// Average and count per category across a submission's votes
+const categoryAverages = (votes, categories) =>
+  categories.map(({ name }) => {
+    const scores = votes
+      .map(vote => (vote.ratings || []).find(r => r.category === name))
+      .filter(Boolean)
+      .map(r => r.score);
+
+    return {
+      category: name,
+      average: Math.round(average(scores) * 100) / 100,
+      count: scores.length
+    };
+  });
+
+// Ratings each team has given to other entries and received on its own.
+// A team's karma is what its members have given; entries are shown to
+// voters in proportion to karma and in inverse proportion to ratings
+// already received.
+const getKarma = (submissions, teams) => {
+  const teamOfUser = new Map();
+  teams.forEach(team => {
+    team.members
+      .filter(m => m.status === 'active')
+      .forEach(m => teamOfUser.set(idOf(m.user), idOf(team)));
+  });
+
+  const karma = new Map();
+  const entryFor = (teamId) => {
+    if (!karma.has(teamId)) karma.set(teamId, { given: 0, received: 0 });
+    return karma.get(teamId);
+  };
+
+  submissions.forEach(submission => {
+    const ownTeam = idOf(submission.team);
+    const votes = submission.voting.votes.filter(vote => !vote.voided);
+    entryFor(ownTeam).received += votes.length;
+
+    votes.forEach(vote => {
+      const voterTeam = teamOfUser.get(idOf(vote.user));
+      if (voterTeam && voterTeam !== ownTeam) entryFor(voterTeam).given += 1;
+    });
+  });
+
+  return karma;
+};
+
+const priorityOf = ({ given, received }) => (1 + given) / (1 + received);
+
+// Pick the next entry for a voter: never their own team's, never one they
+// have already rated, and favoring high-karma, under-rated entries
+const selectNextEntry = ({ submissions, karma, userId, userTeamIds = [] }) => {
+  const ownTeams = new Set(userTeamIds.map(idOf));
+
+  const candidates = submissions
+    .filter(s => !ownTeams.has(idOf(s.team)))
+    .filter(s => !s.voting.votes.some(v => idOf(v.user) === idOf(userId)))
+    .map(s => ({
+      submission: s,
+      priority: priorityOf(karma.get(idOf(s.team)) || { given: 0, received: 0 })
+    }))
+    .sort((a, b) => b.priority - a.priority ||
+      a.submission.voting.votes.length - b.submission.voting.votes.length);
+
+  if (candidates.length === 0) return null;
+
+  // Weighted pick among the top few
+  const pool = candidates.slice(0, SPREAD);
+  let pick = Math.random() * pool.reduce((sum, c) => sum + c.priority, 0);
+  const chosen = pool.find(c => (pick -= c.priority) < 0) || pool[pool.length - 1];
+
+  return chosen.submission;
+};
+
+// Per-category rankings. Entries with fewer than minRatings votes are
+// listed but not ranked.
+const getCategoryResults = (submissions, categories, minRatings = 0) =>
+  categories.map(({ name }) => {
+    const entries = submissions.map(submission => {
+      const stats = (submission.voting.categoryScores || []).find(c => c.category === name) ||
+        { average: 0, count: 0 };
+
+      return {
+        submission: submission._id,
+        team: submission.team,
+        title: submission.project && submission.project.name,
+        average: stats.average,
+        count: stats.count,
+        ranked: submission.voting.votes.filter(v => !v.voided).length >= minRatings && stats.count > 0
+      };
+    });
+
+    const ranked = entries
+      .filter(e => e.ranked)
+      .sort((a, b) => b.average - a.average || b.count - a.count);
+
+    ranked.forEach((entry, index) => {
+      entry.rank = index > 0 && ranked[index - 1].average === entry.average
+        ? ranked[index - 1].rank
+        : index + 1;
+    });
+
+    return {
+      category: name,
+      results: [...ranked, ...entries.filter(e => !e.ranked)]
+    };
+  });
+
+module.exports = {
+  validateRatings,
+  categoryAverages,
+  getKarma,
+  selectNextEntry,
+  getCategoryResults
+};
@@ -0,0 +1,302 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { inspectZip, expansionLimit, inflateEntry } = require('./archives');
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT = 60 * 1000;
+const MAX_FILES = 20000;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+// Most source read out of a bundle in total
+const MAX_CONTENT_BYTES = 64 * 1024 * 1024;
+
+const IGNORED_DIRECTORIES = ['.git', 'node_modules', 'vendor', 'dist', 'build', 'Library', 'Temp', '__pycache__', '.venv', 'venv'];
+
+const LANGUAGES = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript',
+  '.py': 'Python', '.rb': 'Ruby', '.php': 'PHP', '.java': 'Java', '.kt': 'Kotlin',
+  '.go': 'Go', '.rs': 'Rust', '.c': 'C', '.h': 'C', '.cpp': 'C++', '.cc': 'C++', '.hpp': 'C++',
+  '.cs': 'C#', '.swift': 'Swift', '.dart': 'Dart', '.lua': 'Lua', '.gd': 'GDScript',
+  '.html': 'HTML', '.css': 'CSS', '.scss': 'CSS', '.vue': 'Vue', '.svelte': 'Svelte',
+  '.sql': 'SQL', '.sh': 'Shell', '.glsl': 'GLSL', '.shader': 'ShaderLab'
+};
+
+// Dependency names that identify a framework worth reporting
+const FRAMEWORKS = {
+  'package.json': {
+    react: 'React', vue: 'Vue', '@angular/core': 'Angular', svelte: 'Svelte', next: 'Next.js',
+    express: 'Express', 'socket.io': 'Socket.IO', mongoose: 'MongoDB', three: 'Three.js',
+    phaser: 'Phaser', pixi: 'PixiJS', 'pixi.js': 'PixiJS', electron: 'Electron',
+    'react-native': 'React Native', tensorflow: 'TensorFlow', '@tensorflow/tfjs': 'TensorFlow'
+  },
+  'requirements.txt': {
+    django: 'Django', flask: 'Flask', fastapi: 'FastAPI', pygame: 'Pygame',
+    tensorflow: 'TensorFlow', torch: 'PyTorch', numpy: 'NumPy', pandas: 'pandas', streamlit: 'Streamlit'
+  },
+  'Cargo.toml': { bevy: 'Bevy', tokio: 'Tokio', actix: 'Actix', 'actix-web': 'Actix' },
+  'go.mod': { 'github.com/gin-gonic/gin': 'Gin', 'github.com/gofiber/fiber': 'Fiber' },
+  Gemfile: { rails: 'Rails', sinatra: 'Sinatra' }
+};
+
+// Files whose presence alone identifies an engine
+const MARKER_FILES = {
+  'project.godot': 'Godot',
+  'ProjectSettings/ProjectVersion.txt': 'Unity',
+  'pubspec.yaml': 'Flutter'
+};
+
+const isIgnored = (filePath) => filePath.split('/').some(part => IGNORED_DIRECTORIES.includes(part));
+
+// Only source files and dependency manifests need their contents read
+const needsContent = (filePath) => !isIgnored(filePath) && (
+  !!FRAMEWORKS[path.posix.basename(filePath)] ||
+  !!LANGUAGES[path.posix.extname(filePath).toLowerCase()]
+);
+
+const parseDependencies = (manifest, content) => {
+  if (manifest === 'package.json') {
+    try {
+      const pkg = JSON.parse(content);
+      return Object.keys({ ...pkg.dependencies, ...pkg.devDependencies });
+    } catch (error) {
+      return [];
+    }
+  }
+
+  if (manifest === 'requirements.txt') {
+    return content.split('\n').map(line => line.split(/[=<>~!;\[\s]/)[0].trim().toLowerCase());
+  }
+
+  // Cargo.toml, go.mod and Gemfile: pick out names quoted or at line start
+  return content.split('\n').map(line => {
+    const quoted = line.match(/^\s*gem\s+['"]([^'"]+)['"]/);
+    if (quoted) return quoted[1];
+    return line.trim().split(/[\s=]/)[0];
+  });
+};
+
+// Walk a list of { path, read() } files and tally languages and frameworks
+const analyzeFiles = (files) => {
+  const languages = new Map();
+  const technologies = new Set();
+
+  files.slice(0, MAX_FILES).forEach(file => {
+    if (isIgnored(file.path)) return;
+
+    const baseName = path.posix.basename(file.path);
+    const extension = path.posix.extname(file.path).toLowerCase();
+
+    Object.entries(MARKER_FILES).forEach(([marker, name]) => {
+      if (file.path === marker || file.path.endsWith(`/${marker}`)) technologies.add(name);
+    });
+    if (extension === '.uproject') technologies.add('Unreal Engine');
+
+    if (!needsContent(file.path) || file.size > MAX_FILE_BYTES) return;
+
+    const manifest = FRAMEWORKS[baseName];
+    const language = LANGUAGES[extension];
+
+    const content = file.read();
+    if (content === null || content.includes('\u0000')) return;
+
+    if (manifest) {
+      parseDependencies(baseName, content).forEach(dependency => {
+        if (manifest[dependency]) technologies.add(manifest[dependency]);
+      });
+    }
+
+    if (language) {
+      const lines = content.split('\n').filter(line => line.trim().length > 0).length;
+      const entry = languages.get(language) || { language, files: 0, lines: 0 };
+      entry.files += 1;
+      entry.lines += lines;
+      languages.set(language, entry);
+    }
+  });
+
+  const byLanguage = [...languages.values()].sort((a, b) => b.lines - a.lines);
+
+  return {
+    linesOfCode: byLanguage.reduce((sum, l) => sum + l.lines, 0),
+    languages: byLanguage,
+    technologies: [...new Set([...technologies, ...byLanguage.map(l => l.language)])]
+  };
+};
+
+const git = (args, cwd) => execFileAsync('git', args, {
+  cwd,
+  timeout: GIT_TIMEOUT,
+  maxBuffer: 50 * 1024 * 1024
+});
+
+// Every commit reachable from the bundle's refs, oldest first
+const readCommits = async (repoDir) => {
+  const { stdout } = await git([
+    'log', '--all', '--reverse', '--no-merges', '--numstat',
+    '--format=%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s'
+  ], repoDir);
+
+  return stdout.split('\u001e').filter(chunk => chunk.trim()).map(chunk => {
+    const [header, ...stats] = chunk.split('\n');
+    const [hash, authorName, authorEmail, date, subject] = header.split('\u001f');
+
+    let insertions = 0;
+    let deletions = 0;
+    stats.forEach(line => {
+      const [added, removed] = line.split('\t');
+      insertions += parseInt(added, 10) || 0;
+      deletions += parseInt(removed, 10) || 0;
+    });
+
+    return {
+      hash,
+      authorName,
+      authorEmail: authorEmail.toLowerCase(),
+      date: new Date(date),
+      subject,
+      insertions,
+      deletions
+    };
+  });
+};
+
+// Clone a git bundle into a scratch directory, run `fn` against it and
+// always clean up. The clone is bare: nothing is checked out, so a small
+// bundle can't expand into gigabytes of working tree, and no symlink in it
+// ever touches the disk.
+const withBundleClone = async (bundlePath, fn) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'submission-repo-'));
+  const repoDir = path.join(workDir, 'repo.git');
+
+  try {
+    await git(['clone', '--bare', '--quiet', path.resolve(bundlePath), repoDir]);
+    return await fn(repoDir);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Regular files at HEAD with their sizes, from the tree objects alone.
+// A bundle without a HEAD has nothing to list.
+const listTree = async (repoDir) => {
+  const { stdout } = await git(['ls-tree', '-r', '-l', '-z', 'HEAD'], repoDir).catch(() => ({ stdout: '' }));
+
+  return stdout.split('\u0000').filter(Boolean).map(line => {
+    const tab = line.indexOf('\t');
+    const [mode, type, hash, size] = line.slice(0, tab).trim().split(/\s+/);
+    return { mode, type, hash, size: Number(size) || 0, path: line.slice(tab + 1) };
+  }).filter(entry => entry.type === 'blob' && entry.mode !== '120000');
+};
+
+// Read blobs through one `git cat-file --batch`, which answers each hash
+// with "<hash> <type> <size>" and the data
+const readBlobs = (repoDir, hashes, totalBytes) => new Promise((resolve, reject) => {
+  if (hashes.length === 0) {
+    resolve(new Map());
+    return;
+  }
+
+  const child = execFile('git', ['cat-file', '--batch'], {
+    cwd: repoDir,
+    timeout: GIT_TIMEOUT,
+    encoding: 'buffer',
+    maxBuffer: totalBytes + hashes.length * 128
+  }, (error, stdout) => {
+    if (error) {
+      reject(error);
+      return;
+    }
+
+    const blobs = new Map();
+    let offset = 0;
+    while (offset < stdout.length) {
+      const lineEnd = stdout.indexOf(10, offset);
+      if (lineEnd === -1) break;
+
+      const [hash, type, size] = stdout.slice(offset, lineEnd).toString().split(' ');
+      if (type === 'missing') {
+        offset = lineEnd + 1;
+        continue;
+      }
+
+      const length = Number(size);
+      blobs.set(hash, stdout.slice(lineEnd + 1, lineEnd + 1 + length));
+      offset = lineEnd + 1 + length + 1;
+    }
+    resolve(blobs);
+  });
+
+  child.stdin.end(hashes.join('\n') + '\n');
+});
+
+// Sizes come from the tree before any blob is read, so only source files
+// under MAX_FILE_BYTES are read, up to MAX_CONTENT_BYTES between them
+const analyzeBundle = (bundlePath) => withBundleClone(bundlePath, async (repoDir) => {
+  const commits = await readCommits(repoDir);
+  const tree = (await listTree(repoDir)).slice(0, MAX_FILES);
+
+  let budget = MAX_CONTENT_BYTES;
+  const wanted = tree.filter(entry => {
+    if (!needsContent(entry.path) || entry.size > MAX_FILE_BYTES || entry.size > budget) return false;
+    budget -= entry.size;
+    return true;
+  });
+  const blobs = await readBlobs(repoDir, [...new Set(wanted.map(e => e.hash))], MAX_CONTENT_BYTES - budget);
+
+  const files = tree.map(entry => {
+    const data = blobs.get(entry.hash);
+    const content = data ? data.toString('utf8') : null;
+    return { path: entry.path, size: entry.size, read: () => content };
+  });
+
+  const authors = [...new Set(commits.map(c => c.authorEmail))];
+
+  return {
+    ...analyzeFiles(files),
+    commits: commits.length,
+    contributors: authors.length,
+    authors,
+    // Kept so the compliance check can reuse this clone's history
+    history: commits
+  };
+});
+
+// Contents are inflated up front against a running limit, since the
+// sizes in a zip's headers can't be trusted
+const analyzeZip = async (zipPath) => {
+  const { zip } = inspectZip(zipPath);
+  let remaining = expansionLimit(zipPath);
+
+  const files = [];
+  for (const entry of zip.getEntries().filter(e => !e.isDirectory).slice(0, MAX_FILES)) {
+    const filePath = entry.entryName.replace(/\\/g, '/');
+    let content = null;
+
+    if (needsContent(filePath) && entry.header.size <= MAX_FILE_BYTES) {
+      const data = await inflateEntry(entry, Math.min(MAX_FILE_BYTES, remaining));
+      remaining -= data.length;
+      content = data.toString('utf8');
+    }
+
+    files.push({ path: filePath, size: entry.header.size, read: () => content });
+  }
+
+  return analyzeFiles(files);
+};
+
+// Metadata derived from an uploaded repository archive. Commit history is
+// only available from git bundles; zip archives give code statistics only.
+const analyzeRepository = async (filePath, format) => {
+  if (format === 'bundle') return analyzeBundle(filePath);
+  return analyzeZip(filePath);
+};
+
+module.exports = {
+  analyzeRepository,
+  readCommits,
+  withBundleClone
+};
@@ -0,0 +1,95 @@
+const Submission = require('../models/Submission');
+const SubmissionRevision = require('../models/SubmissionRevision');
+const { diffFields } = require('./fieldDiff');
+const { getSubmissionWindow } = require('./deadlines');
+
+const snapshotOf = (submission) => {
+  const data = submission.toObject();
+  return {
+    project: data.project,
+    links: data.links,
+    metadata: data.metadata,
+    status: data.status
+  };
+};
+
+// Write a revision if anything changed since the last one. The unique
+// index on (submission, number) turns a concurrent save into an error
+// instead of two revisions with the same number.
+const recordRevision = async (submission, author, { restoredFrom } = {}) => {
+  const latest = await SubmissionRevision.findOne({ submission: submission._id })
+    .sort({ number: -1 });
+
+  const snapshot = snapshotOf(submission);
+  const changes = diffFields(latest ? latest.snapshot : {}, snapshot);
+
+  if (latest && changes.length === 0) return null;
+
+  const revision = new SubmissionRevision({
+    submission: submission._id,
+    event: submission.event._id || submission.event,
+    number: latest ? latest.number + 1 : 1,
+    author,
+    changes,
+    snapshot,
+    restoredFrom
+  });
+  await revision.save();
+
+  await Submission.updateOne(
+    { _id: submission._id },
+    { $set: { currentRevision: revision.number } }
+  );
+  submission.currentRevision = revision.number;
+
+  return revision;
+};
+
+// The revision that was current when the team's deadline passed, or null
+// while the deadline is still ahead. Nothing is saved.
+const findJudgedRevision = async (submission, event, now = new Date()) => {
+  const { deadline } = getSubmissionWindow(event, submission.team, now);
+  if (deadline > now) return null;
+
+  return SubmissionRevision.findOne({
+    submission: submission._id,
+    createdAt: { $lte: deadline }
+  }).sort({ number: -1 });
+};
+
+// Pin the revision that was current when the team's deadline passed.
+// Teams whose extension hasn't run out yet are left for later.
+const pinJudgedRevision = async (submission, event, now = new Date()) => {
+  if (submission.judgedRevision) return submission.judgedRevision;
+
+  const revision = await findJudgedRevision(submission, event, now);
+  if (!revision) return null;
+
+  await Submission.updateOne(
+    { _id: submission._id },
+    { $set: { judgedRevision: revision.number } }
+  );
+  submission.judgedRevision = revision.number;
+
+  return revision.number;
+};
+
+const pinJudgedRevisions = async (event) => {
+  const submissions = await Submission.find({
+    event: event._id,
+    status: { $ne: 'draft' },
+    judgedRevision: { $exists: false }
+  }).select('team judgedRevision');
+
+  for (const submission of submissions) {
+    await pinJudgedRevision(submission, event);
+  }
+};
+
+module.exports = {
+  snapshotOf,
+  recordRevision,
+  findJudgedRevision,
+  pinJudgedRevision,
+  pinJudgedRevisions
+};
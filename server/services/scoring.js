@@ -0,0 +1,222 @@
+// Criterion names are matched loosely so "Technical Complexity" and
+// "technical complexity " refer to the same criterion
+const criterionKey = (name) => String(name || '').trim().toLowerCase();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Fraction (0-1) of the available points a single score row earned
+const scoreFraction = (row) => {
+  const maxScore = row.maxScore > 0 ? row.maxScore : 100;
+  return Math.min(Math.max(row.score / maxScore, 0), 1);
+};
+
+// Average fraction per criterion, averaging each judge first so a judge
+// who submits more rows doesn't count more than another judge
+const averageByCriterion = (scores) => {
+  const criteria = new Map();
+
+  scores.forEach(row => {
+    if (!row.criterion || typeof row.score !== 'number') return;
+
+    const key = criterionKey(row.criterion);
+    if (!criteria.has(key)) {
+      criteria.set(key, { criterion: row.criterion, judges: new Map() });
+    }
+
+    const judgeKey = row.judge ? row.judge.toString() : 'auto';
+    const judges = criteria.get(key).judges;
+    if (!judges.has(judgeKey)) judges.set(judgeKey, []);
+    judges.get(judgeKey).push(scoreFraction(row));
+  });
+
+  const averages = new Map();
+  criteria.forEach((entry, key) => {
+    const perJudge = [...entry.judges.values()].map(
+      values => values.reduce((sum, v) => sum + v, 0) / values.length
+    );
+    averages.set(key, {
+      criterion: entry.criterion,
+      average: perJudge.reduce((sum, v) => sum + v, 0) / perJudge.length,
+      judgeCount: perJudge.length
+    });
+  });
+
+  return averages;
+};
+
+// Weighted score for a set of judging rows, on a 0-100 scale.
+// With no configured criteria every scored criterion weighs the same.
+const scoreSubmission = (scores = [], criteria = []) => {
+  const averages = averageByCriterion(scores);
+
+  const weights = criteria && criteria.length > 0
+    ? criteria.map(c => ({
+      criterion: c.name,
+      key: criterionKey(c.name),
+      weight: typeof c.weight === 'number' && c.weight >= 0 ? c.weight : 1
+    }))
+    : [...averages.entries()].map(([key, entry]) => ({
+      criterion: entry.criterion,
+      key,
+      weight: 1
+    }));
+
+  const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
+
+  const breakdown = weights.map(w => {
+    const entry = averages.get(w.key);
+    const score = entry ? entry.average * 100 : 0;
+    return {
+      criterion: w.criterion,
+      weight: w.weight,
+      score: round(score),
+      weightedScore: totalWeight > 0 ? round(score * w.weight / totalWeight) : 0,
+      judgeCount: entry ? entry.judgeCount : 0
+    };
+  });
+
+  const totalScore = totalWeight > 0
+    ? breakdown.reduce((sum, b) => sum + b.score * b.weight, 0) / totalWeight
+    : 0;
+
+  const scored = breakdown.filter(b => b.judgeCount > 0);
+  const averageScore = scored.length > 0
+    ? scored.reduce((sum, b) => sum + b.score, 0) / scored.length
+    : 0;
+
+  return {
+    breakdown,
+    totalScore: round(totalScore),
+    averageScore: round(averageScore)
+  };
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const standardDeviation = (values, avg = mean(values)) =>
+  Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+
+// Fractions given by each judge across every submission. Auto-judged
+// rows have no judge and are left out.
+const collectJudgeFractions = (submissions) => {
+  const judges = new Map();
+
+  submissions.forEach(submission => {
+    (submission.judging.scores || []).forEach(row => {
+      if (!row.judge || typeof row.score !== 'number') return;
+
+      const judge = row.judge.toString();
+      if (!judges.has(judge)) judges.set(judge, { fractions: [], submissions: new Set() });
+      judges.get(judge).fractions.push(scoreFraction(row));
+      judges.get(judge).submissions.add(submission._id.toString());
+    });
+  });
+
+  return judges;
+};
+
+// Mean, spread and bias of each judge relative to the whole panel,
+// on the same 0-100 scale as submission scores
+const getJudgeStats = (submissions) => {
+  const judges = collectJudgeFractions(submissions);
+  const all = [...judges.values()].flatMap(j => j.fractions);
+
+  if (all.length === 0) {
+    return { overall: { mean: 0, std: 0, count: 0 }, judges: [] };
+  }
+
+  const overallMean = mean(all);
+  const overallStd = standardDeviation(all, overallMean);
+
+  const stats = [...judges.entries()].map(([judge, entry]) => {
+    const judgeMean = mean(entry.fractions);
+    const bias = overallStd > 0 ? (judgeMean - overallMean) / overallStd : 0;
+
+    return {
+      judge,
+      count: entry.fractions.length,
+      submissions: entry.submissions.size,
+      mean: round(judgeMean * 100),
+      std: round(standardDeviation(entry.fractions, judgeMean) * 100),
+      min: round(Math.min(...entry.fractions) * 100),
+      max: round(Math.max(...entry.fractions) * 100),
+      bias: round(bias),
+      isOutlier: Math.abs(bias) > 1
+    };
+  });
+
+  return {
+    overall: {
+      mean: round(overallMean * 100),
+      std: round(overallStd * 100),
+      count: all.length
+    },
+    judges: stats
+  };
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// Rescale every judge's scores onto the panel's scale before aggregating.
+// zscore: shift and stretch by the judge's mean and spread.
+// minmax: stretch the judge's own lowest-to-highest range onto 0-1.
+// Returns a map of submission id to adjusted score rows.
+const normalizeJudgeScores = (submissions, mode = 'none') => {
+  const normalized = new Map();
+
+  if (mode === 'none') {
+    submissions.forEach(s => normalized.set(s._id.toString(), s.judging.scores));
+    return normalized;
+  }
+
+  const judges = collectJudgeFractions(submissions);
+  const all = [...judges.values()].flatMap(j => j.fractions);
+  const overallMean = all.length > 0 ? mean(all) : 0;
+  const overallStd = all.length > 0 ? standardDeviation(all, overallMean) : 0;
+
+  const profiles = new Map();
+  judges.forEach((entry, judge) => {
+    const judgeMean = mean(entry.fractions);
+    profiles.set(judge, {
+      mean: judgeMean,
+      std: standardDeviation(entry.fractions, judgeMean),
+      min: Math.min(...entry.fractions),
+      max: Math.max(...entry.fractions)
+    });
+  });
+
+  const adjust = (fraction, profile) => {
+    if (mode === 'minmax') {
+      const range = profile.max - profile.min;
+      return range > 0 ? (fraction - profile.min) / range : overallMean;
+    }
+
+    // A judge with no spread can only be shifted, not stretched
+    if (profile.std === 0) return clamp(fraction - profile.mean + overallMean);
+    return clamp(overallMean + ((fraction - profile.mean) / profile.std) * overallStd);
+  };
+
+  submissions.forEach(submission => {
+    const rows = (submission.judging.scores || []).map(row => {
+      if (!row.judge || typeof row.score !== 'number') return row;
+
+      return {
+        criterion: row.criterion,
+        judge: row.judge,
+        score: adjust(scoreFraction(row), profiles.get(row.judge.toString())) * 100,
+        maxScore: 100
+      };
+    });
+    normalized.set(submission._id.toString(), rows);
+  });
+
+  return normalized;
+};
+
+module.exports = {
+  criterionKey,
+  scoreFraction,
+  scoreSubmission,
+  getJudgeStats,
+  normalizeJudgeScores
+};
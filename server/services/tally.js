@@ -0,0 +1,213 @@
+const VOTING_METHODS = ['star', 'approval', 'ranked', 'quadratic'];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Turn a sorted list of rows into ranked results, sharing ranks on ties
+const rankRows = (rows, key) => {
+  rows.sort((a, b) => b[key] - a[key]);
+  rows.forEach((row, index) => {
+    row.rank = index > 0 && rows[index - 1][key] === row[key] ? rows[index - 1].rank : index + 1;
+  });
+  return rows;
+};
+
+// Check a ballot against the method's rules and return it in the shape
+// stored on the Ballot model, or an error message
+const validateBallot = (method, ballot, submissionIds, { credits = 0 } = {}) => {
+  const eligible = new Set(submissionIds.map(idOf));
+  const unique = (ids) => new Set(ids).size === ids.length;
+
+  if (method === 'approval') {
+    const approvals = (ballot.approvals || []).map(String);
+    if (approvals.length === 0) return { error: 'Approve at least one entry' };
+    if (!unique(approvals)) return { error: 'Each entry can only be approved once' };
+    if (approvals.some(id => !eligible.has(id))) return { error: 'Ballot includes an entry that is not in this event' };
+    return { ballot: { approvals } };
+  }
+
+  if (method === 'ranked') {
+    const ranking = (ballot.ranking || []).map(String);
+    if (ranking.length === 0) return { error: 'Rank at least one entry' };
+    if (!unique(ranking)) return { error: 'Each entry can only be ranked once' };
+    if (ranking.some(id => !eligible.has(id))) return { error: 'Ballot includes an entry that is not in this event' };
+    return { ballot: { ranking } };
+  }
+
+  if (method === 'quadratic') {
+    const allocations = (ballot.allocations || [])
+      .filter(a => a && a.votes !== 0)
+      .map(a => ({ submission: String(a.submission), votes: a.votes }));
+
+    if (allocations.length === 0) return { error: 'Allocate votes to at least one entry' };
+    if (!unique(allocations.map(a => a.submission))) {
+      return { error: 'Each entry can only appear once' };
+    }
+    if (allocations.some(a => !eligible.has(a.submission))) {
+      return { error: 'Ballot includes an entry that is not in this event' };
+    }
+    if (allocations.some(a => !Number.isInteger(a.votes) || a.votes < 0)) {
+      return { error: 'Votes must be positive whole numbers' };
+    }
+
+    // n votes for one entry cost n² credits
+    const creditsSpent = allocations.reduce((sum, a) => sum + a.votes * a.votes, 0);
+    if (creditsSpent > credits) {
+      return { error: `Ballot spends ${creditsSpent} credits but the budget is ${credits}` };
+    }
+
+    return { ballot: { allocations, creditsSpent } };
+  }
+
+  return { error: 'Star ratings are cast per submission' };
+};
+
+// Today's 1-5 star average per submission
+const tallyStar = (submissions) => rankRows(submissions.map(s => ({
+  submission: s._id,
+  score: round2(s.voting.publicVotes || 0),
+  votes: s.voting.votes.filter(v => !v.voided).length,
+  share: round2((s.voting.publicVotes || 0) / 5)
+})), 'score');
+
+const tallyApproval = (ballots, submissionIds) => {
+  const counts = new Map(submissionIds.map(id => [idOf(id), 0]));
+  ballots.forEach(b => b.approvals.forEach(id => {
+    if (counts.has(idOf(id))) counts.set(idOf(id), counts.get(idOf(id)) + 1);
+  }));
+
+  return rankRows([...counts].map(([submission, approvals]) => ({
+    submission,
+    score: approvals,
+    approvals,
+    share: ballots.length > 0 ? round2(approvals / ballots.length) : 0
+  })), 'score');
+};
+
+const tallyQuadratic = (ballots, submissionIds) => {
+  const totals = new Map(submissionIds.map(id => [idOf(id), { votes: 0, voters: 0, credits: 0 }]));
+  ballots.forEach(b => b.allocations.forEach(a => {
+    const total = totals.get(idOf(a.submission));
+    if (!total) return;
+    total.votes += a.votes;
+    total.voters += 1;
+    total.credits += a.votes * a.votes;
+  }));
+
+  const max = Math.max(0, ...[...totals.values()].map(t => t.votes));
+
+  return rankRows([...totals].map(([submission, total]) => ({
+    submission,
+    score: total.votes,
+    ...total,
+    share: max > 0 ? round2(total.votes / max) : 0
+  })), 'score');
+};
+
+// Instant-runoff, run all the way down so every entry gets a place. Each
+// round counts every ballot for its highest-ranked entry still standing
+// and eliminates the entry with the fewest; ties go against the entry
+// with fewer first preferences. The majority winner is the last one left.
+const tallyRankedChoice = (ballots, submissionIds) => {
+  const ids = submissionIds.map(idOf);
+  const rankings = ballots.map(b => b.ranking.map(idOf).filter(id => ids.includes(id)));
+
+  const firstPreferences = new Map(ids.map(id => [id, 0]));
+  rankings.forEach(r => {
+    if (r.length > 0) firstPreferences.set(r[0], firstPreferences.get(r[0]) + 1);
+  });
+
+  const standing = new Set(ids);
+  const eliminatedIn = new Map();
+  const rounds = [];
+  let majorityWinner = null;
+
+  while (standing.size > 0) {
+    const counts = new Map([...standing].map(id => [id, 0]));
+    let exhausted = 0;
+
+    rankings.forEach(r => {
+      const choice = r.find(id => standing.has(id));
+      if (choice) counts.set(choice, counts.get(choice) + 1);
+      else exhausted += 1;
+    });
+
+    const active = ballots.length - exhausted;
+    const sorted = [...counts].sort((a, b) => b[1] - a[1] ||
+      firstPreferences.get(b[0]) - firstPreferences.get(a[0]) ||
+      a[0].localeCompare(b[0]));
+
+    if (!majorityWinner && sorted.length > 0 && active > 0 && sorted[0][1] * 2 > active) {
+      majorityWinner = sorted[0][0];
+    }
+
+    const [eliminated] = sorted[sorted.length - 1];
+    rounds.push({
+      round: rounds.length + 1,
+      counts: sorted.map(([submission, votes]) => ({
+        submission,
+        votes,
+        share: active > 0 ? round2(votes / active) : 0
+      })),
+      exhausted,
+      eliminated: standing.size > 1 ? eliminated : null,
+      winner: standing.size === 1 ? eliminated : null
+    });
+
+    eliminatedIn.set(eliminated, rounds.length);
+    standing.delete(eliminated);
+  }
+
+  // Later elimination means a better place; last one standing comes first
+  const results = ids
+    .map(submission => ({
+      submission,
+      eliminatedInRound: eliminatedIn.get(submission),
+      firstPreferences: firstPreferences.get(submission)
+    }))
+    .sort((a, b) => b.eliminatedInRound - a.eliminatedInRound)
+    .map((row, index, rows) => ({
+      ...row,
+      rank: index + 1,
+      score: row.eliminatedInRound,
+      share: rows.length > 1 ? round2((rows.length - 1 - index) / (rows.length - 1)) : 1
+    }));
+
+  return {
+    results,
+    rounds,
+    winner: results.length > 0 ? results[0].submission : null,
+    majorityWinner
+  };
+};
+
+// Results table for an event's voting method. share is each entry's
+// result scaled to 0-1 so methods can be compared or blended.
+const tallyVotes = (method, { ballots = [], submissions = [] }) => {
+  const ids = submissions.map(s => s._id);
+
+  switch (method) {
+    case 'approval':
+      return { method, ballots: ballots.length, results: tallyApproval(ballots, ids) };
+    case 'quadratic':
+      return { method, ballots: ballots.length, results: tallyQuadratic(ballots, ids) };
+    case 'ranked':
+      return { method, ballots: ballots.length, ...tallyRankedChoice(ballots, ids) };
+    default:
+      return {
+        method: 'star',
+        ballots: submissions.reduce((sum, s) => sum + s.voting.votes.filter(v => !v.voided).length, 0),
+        results: tallyStar(submissions)
+      };
+  }
+};
+
+module.exports = {
+  VOTING_METHODS,
+  validateBallot,
+  tallyApproval,
+  tallyQuadratic,
+  tallyRankedChoice,
+  tallyVotes
+};
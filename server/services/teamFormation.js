@@ -0,0 +1,200 @@
+const { skillMap, findFreeParticipants } = require('./matchmaking');
+
+// Weights for what makes a formed team good: many different skills,
+// people who asked to be together, experience near the event's average,
+// and never someone a teammate asked to avoid
+const SKILL_WEIGHT = 1;
+const PREFERENCE_BONUS = 1;
+const EXPERIENCE_WEIGHT = 0.5;
+const AVOID_PENALTY = 10;
+const MAX_SWAP_PASSES = 3;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Everyone the formation works with, in a shape that's cheap to score
+const toPerson = (user, preferences = {}) => ({
+  id: idOf(user),
+  skills: skillMap(user.profile && user.profile.skills),
+  experience: (user.stats && user.stats.eventsJoined) || 0,
+  teammates: new Set((preferences.teammates || []).map(idOf)),
+  avoid: new Set((preferences.avoid || []).map(idOf))
+});
+
+// Team sizes that add up to count, as even as possible within the limit
+const teamSizes = (count, maxTeamSize) => {
+  if (count === 0 || (count === 1 && maxTeamSize > 1)) return [];
+  const teams = Math.ceil(count / maxTeamSize);
+  const base = Math.floor(count / teams);
+  return Array.from({ length: teams }, (_, i) => base + (i < count % teams ? 1 : 0));
+};
+
+const describeTeam = (members) => {
+  const skills = new Map();
+  members.forEach(m => m.skills.forEach((name, key) => {
+    if (!skills.has(key)) skills.set(key, name);
+  }));
+
+  let preferencesMet = 0;
+  let conflicts = 0;
+  members.forEach(a => members.forEach(b => {
+    if (a === b) return;
+    if (a.teammates.has(b.id)) preferencesMet += 1;
+    if (a.avoid.has(b.id)) conflicts += 1;
+  }));
+
+  return {
+    skills: [...skills.values()],
+    experience: members.reduce((sum, m) => sum + m.experience, 0),
+    preferencesMet,
+    conflicts
+  };
+};
+
+const teamScore = (members, meanExperience) => {
+  const { skills, experience, preferencesMet, conflicts } = describeTeam(members);
+  const averageExperience = members.length > 0 ? experience / members.length : 0;
+
+  return skills.length * SKILL_WEIGHT +
+    preferencesMet * PREFERENCE_BONUS -
+    conflicts * AVOID_PENALTY -
+    Math.abs(averageExperience - meanExperience) * EXPERIENCE_WEIGHT;
+};
+
+// People who named each other as teammates start out together
+const preferenceGroups = (people, maxSize) => {
+  const byId = new Map(people.map(p => [p.id, p]));
+  const seen = new Set();
+  const groups = [];
+
+  people.forEach(person => {
+    if (seen.has(person.id)) return;
+    const group = [person];
+    seen.add(person.id);
+
+    for (let i = 0; i < group.length && group.length < maxSize; i++) {
+      group[i].teammates.forEach(id => {
+        const other = byId.get(id);
+        if (other && !seen.has(id) && other.teammates.has(group[i].id) && group.length < maxSize) {
+          group.push(other);
+          seen.add(id);
+        }
+      });
+    }
+    groups.push(group);
+  });
+
+  return groups;
+};
+
+// Split people into teams of at most maxTeamSize. Groups who asked for
+// each other are placed first, biggest and most experienced first, each
+// where it adds the most; then members are swapped between teams while
+// that still improves the total.
+const formTeams = (people, maxTeamSize) => {
+  const sizes = teamSizes(people.length, maxTeamSize);
+  if (sizes.length === 0) {
+    return { teams: [], unassigned: people.map(p => p.id) };
+  }
+
+  const meanExperience = people.reduce((sum, p) => sum + p.experience, 0) / people.length;
+  const score = (members) => teamScore(members, meanExperience);
+  const teams = sizes.map(size => ({ size, members: [] }));
+
+  const experienceOf = (group) => group.reduce((sum, p) => sum + p.experience, 0);
+  const groups = preferenceGroups(people, Math.max(...sizes))
+    .sort((a, b) => b.length - a.length || experienceOf(b) - experienceOf(a) || a[0].id.localeCompare(b[0].id));
+
+  const place = (group) => {
+    let best = null;
+    let bestGain = -Infinity;
+
+    teams.forEach(team => {
+      if (team.size - team.members.length < group.length) return;
+      const gain = score([...team.members, ...group]) - score(team.members);
+      if (gain > bestGain || (gain === bestGain && team.members.length < best.members.length)) {
+        best = team;
+        bestGain = gain;
+      }
+    });
+
+    if (best) best.members.push(...group);
+    return !!best;
+  };
+
+  groups.forEach(group => {
+    // A group that no longer fits anywhere whole is placed one by one
+    if (!place(group)) group.forEach(person => place([person]));
+  });
+
+  for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < teams.length; i++) {
+      for (let j = i + 1; j < teams.length; j++) {
+        const a = teams[i];
+        const b = teams[j];
+
+        for (let x = 0; x < a.members.length; x++) {
+          for (let y = 0; y < b.members.length; y++) {
+            const nextA = [...a.members];
+            const nextB = [...b.members];
+            [nextA[x], nextB[y]] = [b.members[y], a.members[x]];
+
+            const gain = score(nextA) + score(nextB) - score(a.members) - score(b.members);
+            if (gain > 1e-9) {
+              a.members = nextA;
+              b.members = nextB;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return {
+    teams: teams.map((team, index) => ({
+      name: `Team ${index + 1}`,
+      members: team.members.map(m => m.id),
+      ...describeTeam(team.members)
+    })),
+    unassigned: []
+  };
+};
+
+// Free participants of an event, ready for formTeams
+const loadFormationPool = async (event) => {
+  const users = await findFreeParticipants(event, 'username profile.skills stats.eventsJoined');
+  const preferences = new Map(event.participants.map(p => [idOf(p.user), p.teamPreferences]));
+  const free = new Set(users.map(idOf));
+
+  // Only other people in the pool matter to the formation
+  return users.map(user => {
+    const { teammates = [], avoid = [] } = preferences.get(idOf(user)) || {};
+    return toPerson(user, {
+      teammates: teammates.filter(id => free.has(idOf(id))),
+      avoid: avoid.filter(id => free.has(idOf(id)))
+    });
+  });
+};
+
+// Re-score a hand-adjusted preview so organizers see what they changed
+const summarizeTeams = (people, teams) => {
+  const byId = new Map(people.map(p => [p.id, p]));
+
+  return teams.map(team => ({
+    name: team.name,
+    members: team.members.map(idOf),
+    ...describeTeam(team.members.map(id => byId.get(idOf(id))))
+  }));
+};
+
+module.exports = {
+  toPerson,
+  teamSizes,
+  formTeams,
+  loadFormationPool,
+  summarizeTeams
+};
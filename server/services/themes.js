@@ -0,0 +1,180 @@
+const ThemeVote = require('../models/ThemeVote');
+
+const ARTICLES = /^(the|a|an)\s+/;
+
+// "The  Last Light!" and "last light" are the same suggestion
+const normalizeTheme = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(ARTICLES, '');
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const currentRound = (themeVoting) => {
+  const last = themeVoting.rounds[themeVoting.rounds.length - 1];
+  return last && !last.closedAt ? last : null;
+};
+
+const remainingSuggestions = (themeVoting) =>
+  themeVoting.suggestions.filter(s => s.eliminatedInRound === undefined || s.eliminatedInRound === null);
+
+// Net score per candidate. Ties go to the theme more people suggested,
+// then to the one suggested first.
+const tallyRound = (round, votes, suggestions) => {
+  const results = round.candidates.map(candidate => {
+    const own = votes.filter(v => idOf(v.suggestion) === idOf(candidate));
+    const up = own.filter(v => v.value === 1).length;
+    const down = own.filter(v => v.value === -1).length;
+
+    return {
+      suggestion: candidate,
+      up,
+      down,
+      neutral: own.length - up - down,
+      score: up - down
+    };
+  });
+
+  const suggestionOf = (id) => suggestions.find(s => idOf(s) === idOf(id));
+
+  return results.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    if (b.up !== a.up) return b.up - a.up;
+
+    const sa = suggestionOf(a.suggestion);
+    const sb = suggestionOf(b.suggestion);
+    return sb.suggestedBy.length - sa.suggestedBy.length || sa.createdAt - sb.createdAt;
+  });
+};
+
+const openRound = (themeVoting, candidates) => {
+  themeVoting.rounds.push({
+    number: themeVoting.rounds.length + 1,
+    candidates: candidates.map(c => c._id),
+    openedAt: new Date()
+  });
+};
+
+const decide = (themeVoting, suggestionId) => {
+  themeVoting.phase = 'decided';
+  themeVoting.winner = suggestionId;
+};
+
+// Tally the open round and drop the bottom half of its candidates
+const closeRound = async (event, { final = false } = {}) => {
+  const themeVoting = event.themeVoting;
+  const round = currentRound(themeVoting);
+
+  const votes = await ThemeVote.find({ event: event._id, round: round.number });
+  const results = tallyRound(round, votes, themeVoting.suggestions);
+
+  round.results = results;
+  round.closedAt = new Date();
+
+  const keep = final ? 1 : Math.ceil(results.length / 2);
+  results.slice(keep).forEach(result => {
+    themeVoting.suggestions.id(result.suggestion).eliminatedInRound = round.number;
+  });
+
+  return results.slice(0, keep).map(r => themeVoting.suggestions.id(r.suggestion));
+};
+
+// Move the theme vote one step along: close suggestions and open the
+// first round, or close the current round and open the next. One theme
+// left means it has won.
+const advanceThemeVoting = async (event) => {
+  const themeVoting = event.themeVoting;
+
+  if (themeVoting.phase === 'suggestions') {
+    const suggestions = remainingSuggestions(themeVoting);
+    if (suggestions.length === 0) {
+      throw new Error('No themes have been suggested');
+    }
+
+    if (suggestions.length === 1) {
+      decide(themeVoting, suggestions[0]._id);
+    } else {
+      themeVoting.phase = 'voting';
+      openRound(themeVoting, suggestions);
+    }
+  } else if (themeVoting.phase === 'voting') {
+    const kept = await closeRound(event);
+
+    if (kept.length === 1) {
+      decide(themeVoting, kept[0]._id);
+    } else {
+      openRound(themeVoting, kept);
+    }
+  } else {
+    throw new Error('The theme has already been decided');
+  }
+
+  return themeVoting;
+};
+
+// Settle the vote wherever it stands, for when the event starts before
+// the organizer has finished the rounds
+const decideThemeVoting = async (event) => {
+  const themeVoting = event.themeVoting;
+
+  if (themeVoting.phase === 'suggestions') {
+    const [top] = remainingSuggestions(themeVoting).sort((a, b) =>
+      b.suggestedBy.length - a.suggestedBy.length || a.createdAt - b.createdAt
+    );
+    if (top) decide(themeVoting, top._id);
+  } else if (themeVoting.phase === 'voting') {
+    const [winner] = await closeRound(event, { final: true });
+    if (winner) decide(themeVoting, winner._id);
+  }
+
+  return themeVoting.winner || null;
+};
+
+const winningTheme = (themeVoting) => {
+  const winner = themeVoting.winner && themeVoting.suggestions.find(
+    s => idOf(s) === idOf(themeVoting.winner)
+  );
+  return winner ? winner.text : null;
+};
+
+// What participants see before the theme is announced: open suggestions
+// during the suggestion phase, this round's candidates during voting, and
+// nothing that would give the winner away once it's decided
+const publicThemeVoting = (themeVoting) => {
+  const round = currentRound(themeVoting);
+  const view = {
+    enabled: themeVoting.enabled,
+    phase: themeVoting.phase,
+    suggestionsPerUser: themeVoting.suggestionsPerUser,
+    round: round ? round.number : null,
+    suggestions: []
+  };
+
+  if (themeVoting.phase === 'suggestions') {
+    view.suggestions = themeVoting.suggestions.map(s => ({
+      _id: s._id,
+      text: s.text,
+      count: s.suggestedBy.length
+    }));
+  } else if (round) {
+    view.suggestions = round.candidates.map(id => {
+      const suggestion = themeVoting.suggestions.find(s => idOf(s) === idOf(id));
+      return { _id: suggestion._id, text: suggestion.text };
+    });
+  }
+
+  return view;
+};
+
+module.exports = {
+  normalizeTheme,
+  currentRound,
+  remainingSuggestions,
+  tallyRound,
+  advanceThemeVoting,
+  decideThemeVoting,
+  winningTheme,
+  publicThemeVoting
+};
@@ -0,0 +1,129 @@
+const Team = require('../models/Team');
+const VoteAudit = require('../models/VoteAudit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const BURST_WINDOW_MINUTES = Number(process.env.VOTE_BURST_WINDOW_MINUTES) || 10;
+const BURST_THRESHOLD = Number(process.env.VOTE_BURST_THRESHOLD) || 5;
+const SHARED_IP_THRESHOLD = 3;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Teams in the event the user is an active member of
+const findUserTeams = (eventId, userId) => Team.find({
+  event: eventId,
+  members: { $elemMatch: { user: userId, status: 'active' } }
+}).select('_id');
+
+const accountAgeDays = (user, now = new Date()) =>
+  user.createdAt ? (now - user.createdAt) / DAY : 0;
+
+// Who may vote: participants of the event, or anyone whose account is
+// old enough unless the event is participants-only. Returns an error
+// message or null.
+const checkVoterEligibility = (event, user, userTeams, now = new Date()) => {
+  const isParticipant = userTeams.length > 0 ||
+    event.participants.some(p => idOf(p.user) === idOf(user));
+  if (isParticipant) return null;
+
+  const { participantsOnly, minAccountAgeDays } = event.voting;
+  if (participantsOnly) {
+    return 'Only event participants can vote';
+  }
+  if (accountAgeDays(user, now) < minAccountAgeDays) {
+    return `Accounts must be at least ${minAccountAgeDays} days old to vote`;
+  }
+  return null;
+};
+
+const recordVoteAudit = (entry, req) => new VoteAudit({
+  ...entry,
+  ip: req && req.ip,
+  accountCreatedAt: req && req.user && req.user.createdAt
+}).save();
+
+// Look for votes that don't look like real people:
+//  - bursts: several votes for one entry within a few minutes, all from
+//    accounts younger than the event's minimum account age
+//  - shared addresses: several accounts voting for one entry from one IP
+// Ballots cover every entry at once, so they're checked as one group.
+const detectAnomalies = (audits, {
+  newAccountDays = 7,
+  windowMinutes = BURST_WINDOW_MINUTES,
+  threshold = BURST_THRESHOLD
+} = {}) => {
+  const window = windowMinutes * 60 * 1000;
+  const casts = audits
+    .filter(a => a.action === 'cast')
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const bySubmission = new Map();
+  casts.forEach(audit => {
+    const key = audit.submission ? idOf(audit.submission) : null;
+    if (!bySubmission.has(key)) bySubmission.set(key, []);
+    bySubmission.get(key).push(audit);
+  });
+
+  const anomalies = [];
+
+  bySubmission.forEach((entries, submission) => {
+    const kind = submission ? 'star' : 'ballot';
+    const fresh = entries.filter(a =>
+      !a.accountCreatedAt || (a.createdAt - a.accountCreatedAt) / DAY < newAccountDays
+    );
+
+    // Widest window starting at each fresh vote; overlapping windows are
+    // reported once
+    let start = 0;
+    while (start < fresh.length) {
+      let end = start;
+      while (end + 1 < fresh.length && fresh[end + 1].createdAt - fresh[start].createdAt <= window) {
+        end += 1;
+      }
+
+      const burst = fresh.slice(start, end + 1);
+      if (burst.length >= threshold) {
+        anomalies.push({
+          type: 'new-account-burst',
+          kind,
+          submission,
+          count: burst.length,
+          from: burst[0].createdAt,
+          to: burst[burst.length - 1].createdAt,
+          users: [...new Set(burst.map(a => idOf(a.user)))]
+        });
+        start = end + 1;
+      } else {
+        start += 1;
+      }
+    }
+
+    const byIp = new Map();
+    entries.filter(a => a.ip).forEach(a => {
+      if (!byIp.has(a.ip)) byIp.set(a.ip, new Set());
+      byIp.get(a.ip).add(idOf(a.user));
+    });
+
+    byIp.forEach((users, ip) => {
+      if (users.size >= SHARED_IP_THRESHOLD) {
+        anomalies.push({
+          type: 'shared-ip',
+          kind,
+          submission,
+          count: users.size,
+          ip,
+          users: [...users]
+        });
+      }
+    });
+  });
+
+  return anomalies;
+};
+
+module.exports = {
+  findUserTeams,
+  checkVoterEligibility,
+  recordVoteAudit,
+  detectAnomalies
+};
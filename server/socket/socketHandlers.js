@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Event = require('../models/Event');
 const Team = require('../models/Team');
+const Submission = require('../models/Submission');
+const { ensureFreezeSnapshot, getLeaderboardView, hidesLiveResults } = require('../services/leaderboard');
 
 const connectedUsers = new Map();
 
@@ -20,6 +22,9 @@ const socketHandlers = (io, socket) => {
           user: user,
           lastActive: new Date()
         });
+
+        // Personal room for notifications meant only for this user
+        socket.join(`user:${socket.userId}`);
         
         // Update user online status
         await User.findByIdAndUpdate(user._id, { 
@@ -45,14 +50,19 @@ const socketHandlers = (io, socket) => {
         socket.join(`event:${eventId}`);
         socket.eventId = eventId;
         
-        // Send real-time event data
+        // Send real-time event data, without live scores while the
+        // leaderboard is frozen for this user
+        const scores = hidesLiveResults(event, socket.user) ? '' : ' judging.totalScore';
         const eventData = await Event.findById(eventId)
           .populate('participants.user', 'username profile.avatar')
           .populate('teams', 'name members')
-          .populate('submissions', 'project.name judging.totalScore');
+          .populate('submissions', `project.name${scores}`);
         
         socket.emit('eventJoined', { event: eventData });
-        
+
+        // Joined the room first, so no diff after this snapshot is missed
+        await sendLeaderboard(eventId);
+
         // Notify others in the event
         socket.to(`event:${eventId}`).emit('userJoinedEvent', {
           user: socket.user,
@@ -167,26 +177,85 @@ const socketHandlers = (io, socket) => {
     }
   });
 
+  // Full leaderboard snapshot. Its seq is the last change it includes;
+  // leaderboardDiff events with a higher seq apply on top of it, and a gap
+  // means an update was missed and it's time to ask again.
+  const sendLeaderboard = async (eventId) => {
+    const event = await Event.findById(eventId)
+      .select('organizer leaderboard leaderboardSeq peoplesChoice leaderboardFreeze');
+
+    if (!event) return;
+
+    await ensureFreezeSnapshot(event);
+
+    // Only the live board carries submission scores
+    const populate = (path, submissionFields = 'project.name') => [
+      {
+        path: `${path}.team`,
+        populate: {
+          path: 'members.user',
+          select: 'username profile.avatar'
+        }
+      },
+      { path: `${path}.submission`, select: submissionFields }
+    ];
+    await event.populate([
+      ...populate('leaderboard', 'project.name judging.totalScore'),
+      ...populate('leaderboardFreeze.snapshot'),
+      ...populate('leaderboardFreeze.reveal.final')
+    ]);
+
+    // Frozen events get the snapshot unless this is the organizer
+    const view = getLeaderboardView(event, socket.user);
+
+    socket.emit('leaderboardUpdate', {
+      eventId,
+      ...view
+    });
+  };
+
   // Real-time leaderboard updates
   socket.on('requestLeaderboard', async (eventId) => {
     try {
-      const event = await Event.findById(eventId)
-        .populate({
-          path: 'leaderboard.team',
-          populate: {
-            path: 'members.user',
-            select: 'username profile.avatar'
-          }
-        })
-        .populate('leaderboard.submission', 'project.name judging.totalScore');
-      
-      if (event) {
-        socket.emit('leaderboardUpdate', {
-          eventId,
-          leaderboard: event.leaderboard
-        });
+      await sendLeaderboard(eventId);
+    } catch (error) {
+      socket.emit('error', { message: 'Failed to get leaderboard' });
+    }
+  });
+
+  // Top entries across finished events, or one event's leaderboard. The
+  // cross-event list goes out as topSubmissions so it's never mistaken for
+  // an event snapshot, and still as a bare leaderboardUpdate array for
+  // clients written before event leaderboards existed.
+  socket.on('getLeaderboard', async (eventId) => {
+    try {
+      if (eventId) {
+        await sendLeaderboard(eventId);
+        return;
       }
+
+      const events = await Event.find({
+        status: 'completed',
+        $or: [
+          { 'leaderboardFreeze.freezeAt': { $exists: false } },
+          { 'leaderboardFreeze.freezeAt': null },
+          { 'leaderboardFreeze.reveal.status': 'done' }
+        ]
+      }).distinct('_id');
+
+      const leaderboard = await Submission.find({
+        event: { $in: events },
+        status: { $nin: ['draft', 'rejected'] }
+      })
+        .select('event team project.name judging.totalScore voting.publicVotes')
+        .populate('team', 'name')
+        .sort({ 'judging.totalScore': -1 })
+        .limit(10);
+
+      socket.emit('leaderboardUpdate', leaderboard);
+      socket.emit('topSubmissions', { leaderboard });
     } catch (error) {
+      socket.emit('leaderboardUpdate', []);
       socket.emit('error', { message: 'Failed to get leaderboard' });
     }
   });